@@ -2,21 +2,116 @@
 
 const { main } = require('../lib/index.js');
 const { cleanup } = require('../lib/cleanup.js');
+const { showState } = require('../lib/state.js');
+const { prune } = require('../lib/prune.js');
+const { reseed } = require('../lib/reseed.js');
+const { status } = require('../lib/status.js');
+const { parseDuration } = require('../lib/duration.js');
 
 const args = process.argv.slice(2);
 const command = args[0];
 
+// Wrangler environment, shared by all commands that read bindings
+const envIdx = args.indexOf('--env');
+const env = envIdx !== -1 ? args[envIdx + 1] : undefined;
+
+// Exclusion globs for cleanup and prune, --exclude may be repeated
+const exclude = args.flatMap((arg, i) => (arg === '--exclude' && args[i + 1] ? [args[i + 1]] : []));
+
 if (command === 'cleanup') {
   const autoConfirm = args.includes('--confirm');
+  const discover = args.includes('--discover');
+  const emptyBuckets = args.includes('--empty-buckets');
+  const bucketUsage = args.includes('--bucket-usage');
+  const deployments = args.includes('--deployments');
+  const allBranches = args.includes('--all-branches');
+  const branchIdx = args.indexOf('--branch');
+  const branch = branchIdx !== -1 ? args[branchIdx + 1] : null;
+  const olderThanIdx = args.indexOf('--older-than');
+  const fallbackIdx = args.indexOf('--preview-fallback');
+  const previewFallback = fallbackIdx !== -1 ? args[fallbackIdx + 1] : undefined;
+
+  Promise.resolve()
+    .then(() => {
+      const olderThan = olderThanIdx !== -1 ? parseDuration(args[olderThanIdx + 1]) : null;
+      return cleanup({
+        autoConfirm, branch, discover, olderThan, emptyBuckets, bucketUsage, previewFallback, deployments, allBranches,
+        exclude, env
+      });
+    })
+    .catch((error) => {
+      console.error('cf-branch-wrangler cleanup failed:', error.message);
+      process.exit(1);
+    });
+} else if (command === 'prune') {
+  const autoConfirm = args.includes('--confirm');
+  const discover = args.includes('--discover');
+  const emptyBuckets = args.includes('--empty-buckets');
+  const bucketUsage = args.includes('--bucket-usage');
+  const local = args.includes('--local');
+  const remoteIdx = args.indexOf('--remote');
+  const remote = remoteIdx !== -1 ? args[remoteIdx + 1] : undefined;
+  const fileIdx = args.indexOf('--branches-file');
+  const branchesFile = fileIdx !== -1 ? args[fileIdx + 1] : undefined;
+  const fallbackIdx = args.indexOf('--preview-fallback');
+  const previewFallback = fallbackIdx !== -1 ? args[fallbackIdx + 1] : undefined;
+
+  prune({ autoConfirm, discover, emptyBuckets, bucketUsage, local, remote, branchesFile, previewFallback, exclude, env }).catch((error) => {
+    console.error('cf-branch-wrangler prune failed:', error.message);
+    process.exit(1);
+  });
+} else if (command === 'reseed') {
+  const branchIdx = args.indexOf('--branch');
+  const branch = branchIdx !== -1 ? args[branchIdx + 1] : undefined;
+  const bindingIdx = args.indexOf('--binding');
+  const binding = bindingIdx !== -1 ? args[bindingIdx + 1] : undefined;
+
+  reseed({ branch, binding, env }).catch((error) => {
+    console.error('cf-branch-wrangler reseed failed:', error.message);
+    process.exit(1);
+  });
+} else if (command === 'status' || command === 'list') {
+  const json = args.includes('--json');
+  const bucketUsage = !args.includes('--no-bucket-usage');
+  const local = args.includes('--local');
+  const remoteIdx = args.indexOf('--remote');
+  const remote = remoteIdx !== -1 ? args[remoteIdx + 1] : undefined;
+  const fileIdx = args.indexOf('--branches-file');
+  const branchesFile = fileIdx !== -1 ? args[fileIdx + 1] : undefined;
+
+  // Keep stdout clean for JSON; progress output goes to stderr
+  if (json) {
+    console.log = console.error;
+  }
+
+  status({ json, bucketUsage, local, remote, branchesFile, env }).catch((error) => {
+    console.error('cf-branch-wrangler status failed:', error.message);
+    process.exit(1);
+  });
+} else if (command === 'state') {
+  const json = args.includes('--json');
   const branchIdx = args.indexOf('--branch');
   const branch = branchIdx !== -1 ? args[branchIdx + 1] : null;
 
-  cleanup({ autoConfirm, branch }).catch((error) => {
-    console.error('cf-branch-wrangler cleanup failed:', error.message);
+  if (json) {
+    console.log = console.error;
+  }
+
+  showState({ branch, json }).catch((error) => {
+    console.error('cf-branch-wrangler state failed:', error.message);
     process.exit(1);
   });
 } else {
-  main().catch((error) => {
+  // `plan` is an alias for `--dry-run`
+  const dryRun = command === 'plan' || args.includes('--dry-run');
+  const json = dryRun && args.includes('--json');
+
+  // Keep stdout clean for the JSON plan; progress output goes to stderr
+  if (json) {
+    console.log = console.error;
+  }
+
+  main({ dryRun, json, env }).catch((error) => {
     console.error('cf-branch-wrangler failed:', error.message);
     process.exit(1);
   });
@@ -2,21 +2,109 @@
  * Cloudflare API client for updating Pages Project bindings
  */
 
+const {
+  buildManagedBindings,
+  mergePreviewConfig,
+  toPatchPreview,
+  formatPreviewDiff
+} = require('./preview-config.js');
+
+const DEFAULT_API_BASE_URL = 'https://api.cloudflare.com/client/v4';
+
+/**
+ * Returns the Cloudflare API base URL
+ * Honours CLOUDFLARE_API_BASE_URL (the same variable wrangler reads) so the
+ * client can be pointed at a local fake server
+ * @returns {string} Base URL without a trailing slash
+ */
+function getApiBaseUrl() {
+  const baseUrl = process.env.CLOUDFLARE_API_BASE_URL || DEFAULT_API_BASE_URL;
+  return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Sends a request to the Cloudflare API and returns the parsed response envelope
+ * @param {string} apiToken - Cloudflare API bearer token
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Path relative to the API base URL (e.g. "/accounts")
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.query] - Query string parameters (undefined values are skipped)
+ * @param {Object} [options.body] - JSON request body
+ * @param {string|Buffer} [options.rawBody] - Raw request body, sent instead of a JSON body
+ * @param {string} [options.contentType] - Content type for rawBody
+ * @param {boolean} [options.raw] - Return the response body as text instead of a parsed envelope
+ *   (for endpoints such as KV values that don't wrap their response)
+ * @returns {Promise<Object|string>} Response envelope with result, result_info, etc. (or text when raw)
+ * @throws {Error} If the request fails or the API reports success: false; the error carries the HTTP status
+ *   (and retryAfter, in seconds, when the API sends a Retry-After header)
+ */
+async function cfRequest(apiToken, method, pathname, options = {}) {
+  const url = new URL(`${getApiBaseUrl()}${pathname}`);
+  for (const [key, value] of Object.entries(options.query || {})) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, String(value));
+    }
+  }
+
+  const headers = { 'Authorization': `Bearer ${apiToken}` };
+  let body;
+  if (options.rawBody !== undefined) {
+    headers['Content-Type'] = options.contentType || 'application/octet-stream';
+    body = options.rawBody;
+  } else if (options.body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(options.body);
+  }
+
+  const response = await fetch(url, { method, headers, body });
+  const text = await response.text();
+
+  if (options.raw && response.ok) {
+    return text;
+  }
+
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch (_) {
+    // Non-JSON body, reported below if the request failed
+  }
+
+  if (!response.ok || !data || data.success === false) {
+    const apiErrors = data && Array.isArray(data.errors) ? data.errors : [];
+    const detail = apiErrors.length > 0
+      ? apiErrors.map(e => `${e.code}: ${e.message}`).join('; ')
+      : text;
+    const error = new Error(
+      `Cloudflare API error: ${method} ${pathname} ${response.status} ${response.statusText}` +
+      (detail ? ` - ${detail}` : '')
+    );
+    error.status = response.status;
+    error.errors = apiErrors;
+    // Seconds to wait before retrying, sent with 429 responses
+    const retryAfter = Number(response.headers.get('retry-after'));
+    if (retryAfter > 0) {
+      error.retryAfter = retryAfter;
+    }
+    throw error;
+  }
+
+  return data;
+}
+
 /**
  * Derives the Cloudflare Account ID from the API token
  * @param {string} apiToken - Cloudflare API bearer token
  * @returns {Promise<string>} Account ID
  */
 async function fetchAccountId(apiToken) {
-  const response = await fetch('https://api.cloudflare.com/client/v4/accounts?per_page=1', {
-    headers: { 'Authorization': `Bearer ${apiToken}` }
-  });
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch account ID: ${response.status} ${response.statusText}`);
+  let data;
+  try {
+    data = await cfRequest(apiToken, 'GET', '/accounts', { query: { per_page: 1 } });
+  } catch (error) {
+    throw new Error(`Failed to fetch account ID: ${error.message}`);
   }
 
-  const data = await response.json();
   if (!data.result || data.result.length === 0) {
     throw new Error('No accounts found for the provided API token');
   }
@@ -24,67 +112,70 @@ async function fetchAccountId(apiToken) {
   return data.result[0].id;
 }
 
+/**
+ * Fetches a Pages Project, including its deployment configs
+ * @param {string} accountId - Cloudflare Account ID
+ * @param {string} projectName - Pages Project name
+ * @param {string} apiToken - Cloudflare API bearer token
+ * @returns {Promise<Object>} Project details
+ */
+async function getPagesProject(accountId, projectName, apiToken) {
+  const data = await cfRequest(apiToken, 'GET', `/accounts/${accountId}/pages/projects/${projectName}`);
+  return data.result;
+}
+
+/**
+ * Computes the preview config before and after applying the managed bindings
+ * @param {string} accountId - Cloudflare Account ID
+ * @param {string} projectName - Pages Project name
+ * @param {string} apiToken - Cloudflare API bearer token
+ * @param {Object} bindings - Provisioned resources with d1, r2, kv, queues, vectorize, hyperdrive arrays,
+ *   and resolved Workers with services and durableObjects arrays
+ * @returns {Promise<{before: Object, after: Object}>} Current and merged preview configs
+ */
+async function preparePreviewUpdate(accountId, projectName, apiToken, bindings) {
+  const project = await getPagesProject(accountId, projectName, apiToken);
+  const before = (project.deployment_configs && project.deployment_configs.preview) || {};
+  const after = mergePreviewConfig(before, buildManagedBindings(bindings));
+  return { before, after };
+}
+
 /**
  * Patches the preview deployment configuration for a Pages Project
+ * Reads the current preview config first and replaces only the managed bindings
  * @param {string} accountId - Cloudflare Account ID
  * @param {string} projectName - Pages Project name
  * @param {string} apiToken - Cloudflare API bearer token
- * @param {Object} bindings - Provisioned resources with d1, r2, kv arrays
+ * @param {Object} bindings - Provisioned resources with d1, r2, kv, queues, vectorize, hyperdrive arrays,
+ *   and resolved Workers with services and durableObjects arrays
  * @returns {Promise<Object>} API response
  */
 async function patchPreviewBindings(accountId, projectName, apiToken, bindings) {
-  const url = `https://api.cloudflare.com/client/v4/accounts/${accountId}/pages/projects/${projectName}`;
-
-  // Build deployment configs payload
-  // Cloudflare API expects bindings as objects keyed by binding name, not arrays
-  const d1Map = {};
-  for (const db of bindings.d1) {
-    d1Map[db.binding] = { id: db.id };
-  }
-
-  const r2Map = {};
-  for (const bucket of bindings.r2) {
-    r2Map[bucket.binding] = { name: bucket.name };
-  }
-
-  const kvMap = {};
-  for (const ns of bindings.kv) {
-    kvMap[ns.binding] = { namespace_id: ns.id };
-  }
-
-  const deploymentConfigs = {
-    preview: {
-      d1_databases: d1Map,
-      r2_buckets: r2Map,
-      kv_namespaces: kvMap
-    }
-  };
-
   console.log(`Updating preview bindings for Pages Project: ${projectName}`);
-  console.log(`  D1 databases: ${Object.keys(d1Map).length}`);
-  console.log(`  R2 buckets: ${Object.keys(r2Map).length}`);
-  console.log(`  KV namespaces: ${Object.keys(kvMap).length}`);
+  console.log(`  D1 databases: ${bindings.d1.length}`);
+  console.log(`  R2 buckets: ${bindings.r2.length}`);
+  console.log(`  KV namespaces: ${bindings.kv.length}`);
+  console.log(`  Queue producers: ${bindings.queues.length}`);
+  console.log(`  Vectorize indexes: ${bindings.vectorize.length}`);
+  console.log(`  Hyperdrive configs: ${bindings.hyperdrive.length}`);
+  console.log(`  Service bindings: ${bindings.services.length}`);
+  console.log(`  Durable Object namespaces: ${bindings.durableObjects.filter(ns => ns.namespaceId).length}`);
 
   try {
-    const response = await fetch(url, {
-      method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${apiToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        deployment_configs: deploymentConfigs
-      })
-    });
+    const { before, after } = await preparePreviewUpdate(accountId, projectName, apiToken, bindings);
 
-    if (!response.ok) {
-      const errorBody = await response.text();
-      console.error(`API request failed: ${response.status} ${response.statusText}`);
-      console.error(`Response body: ${errorBody}`);
-      throw new Error(`Cloudflare API error: ${response.status} ${response.statusText}`);
+    const diff = formatPreviewDiff(before, after);
+    if (!diff) {
+      console.log('  Preview config already up to date');
+    } else {
+      console.log('  Preview config changes:');
+      console.log(diff.split('\n').map(line => `    ${line}`).join('\n'));
     }
 
-    const data = await response.json();
+    const data = await cfRequest(apiToken, 'PATCH', `/accounts/${accountId}/pages/projects/${projectName}`, {
+      body: { deployment_configs: { preview: toPatchPreview(after) } }
+    });
+
     console.log('Successfully updated preview bindings');
     return data;
 
@@ -95,6 +186,10 @@ async function patchPreviewBindings(accountId, projectName, apiToken, bindings)
 }
 
 module.exports = {
+  getApiBaseUrl,
+  cfRequest,
   fetchAccountId,
+  getPagesProject,
+  preparePreviewUpdate,
   patchPreviewBindings
 };
@@ -0,0 +1,61 @@
+/**
+ * cf-branch-wrangler settings: the branch_wrangler section of the wrangler
+ * config, or a separate branch-wrangler.{jsonc,json,toml} file holding the
+ * same settings at the top level
+ */
+
+const fs = require('fs');
+const path = require('path');
+const toml = require('@iarna/toml');
+const { parseJsonc } = require('./jsonc.js');
+
+// Section name inside the wrangler config
+const CONFIG_SECTION = 'branch_wrangler';
+
+const SETTINGS_FILES = [
+  { file: 'branch-wrangler.jsonc', format: 'jsonc' },
+  { file: 'branch-wrangler.json', format: 'jsonc' },
+  { file: 'branch-wrangler.toml', format: 'toml' }
+];
+
+/**
+ * Loads cf-branch-wrangler settings
+ * @param {Object} wranglerConfig - Parsed wrangler config
+ * @param {string} [dir] - Directory to look for a settings file in (defaults to cwd)
+ * @returns {{ settings: Object, source: string|null }} Settings (empty if none) and where they came from
+ * @throws {Error} If settings are given in both places, or the settings file can't be parsed
+ */
+function loadBranchConfig(wranglerConfig, dir) {
+  const searchDir = dir || process.cwd();
+  const section = wranglerConfig[CONFIG_SECTION];
+
+  for (const { file, format } of SETTINGS_FILES) {
+    const settingsPath = path.join(searchDir, file);
+    if (!fs.existsSync(settingsPath)) continue;
+
+    if (section) {
+      throw new Error(
+        `cf-branch-wrangler settings found in both ${file} and the "${CONFIG_SECTION}" section of the wrangler config. ` +
+        'Keep them in one place.'
+      );
+    }
+
+    const content = fs.readFileSync(settingsPath, 'utf-8');
+    const settings = format === 'jsonc'
+      ? parseJsonc(content)
+      : toml.parse(content);
+
+    return { settings, source: file };
+  }
+
+  if (section) {
+    return { settings: section, source: `"${CONFIG_SECTION}" section` };
+  }
+
+  return { settings: {}, source: null };
+}
+
+module.exports = {
+  CONFIG_SECTION,
+  loadBranchConfig
+};
@@ -2,8 +2,13 @@
  * Branch name sanitization for Cloudflare resource naming
  */
 
+const crypto = require('crypto');
+
 const DEFAULT_PRODUCTION_BRANCH = 'main';
 
+// Length of the branch name hash appended to disambiguate lossy or truncated names
+const HASH_LENGTH = 6;
+
 /**
  * Sanitizes a branch name to be safe for Cloudflare resource names
  * Rules:
@@ -42,6 +47,25 @@ function sanitizeBranchName(branch) {
   return sanitized;
 }
 
+/**
+ * Returns a short stable hash of the original branch name
+ * @param {string} branch - The branch name (unsanitized)
+ * @returns {string} Lowercase hex hash
+ */
+function hashBranchName(branch) {
+  return crypto.createHash('sha1').update(branch).digest('hex').substring(0, HASH_LENGTH);
+}
+
+/**
+ * Checks whether sanitizing a branch name loses information
+ * e.g. "feature/x" and "feature_x" both sanitize to "feature-x"
+ * @param {string} branch - The branch name
+ * @returns {boolean} True if the sanitized name differs from the original
+ */
+function isLossySanitization(branch) {
+  return sanitizeBranchName(branch) !== branch;
+}
+
 /**
  * Returns the branch suffix for resource naming
  * Returns empty string for production branch (no suffix needed)
@@ -70,6 +94,9 @@ function isProductionBranch(branch, productionBranch = DEFAULT_PRODUCTION_BRANCH
 
 module.exports = {
   sanitizeBranchName,
+  hashBranchName,
+  isLossySanitization,
+  HASH_LENGTH,
   getBranchSuffix,
   isProductionBranch,
   DEFAULT_PRODUCTION_BRANCH
@@ -0,0 +1,171 @@
+/**
+ * Safety checks for what cleanup and prune may delete
+ * Configured in the cf-branch-wrangler settings:
+ *   [branch_wrangler.cleanup]
+ *   protect = ["app-logs"]                   # never delete these names
+ *   exclude = ["*-analytics", "*-archive"]   # nor names matching these globs
+ *   branch_patterns = ["feature-*", "fix-*"] # branch parts that found-by-name resources may have
+ * Resources found by name are only deleted when the state registry records
+ * them, when they are the exact names of a branch given with --branch, or when
+ * their branch part matches branch_patterns. A base name like "app" makes
+ * "app-logs" look like the resources of a branch called "logs", so nothing
+ * else is trusted.
+ */
+
+const { branchPartOf } = require('./naming.js');
+
+const GUARD_FIELDS = ['protect', 'exclude', 'branch_patterns'];
+
+// Resource types with the field holding the name and the binding field holding the base name
+const GUARDED_TYPES = [
+  { type: 'd1', nameKey: 'name', baseKey: 'name' },
+  { type: 'r2', nameKey: 'name', baseKey: 'name' },
+  { type: 'kv', nameKey: 'title', baseKey: 'id' },
+  { type: 'queues', nameKey: 'name', baseKey: 'name' },
+  { type: 'vectorize', nameKey: 'name', baseKey: 'name' },
+  { type: 'hyperdrive', nameKey: 'name', baseKey: 'name' }
+];
+
+/**
+ * Turns a glob (* and ? wildcards) into an anchored pattern
+ * @param {string} glob - Glob
+ * @returns {RegExp} Pattern
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Reads and validates the cleanup guard settings
+ * @param {Object} settings - cf-branch-wrangler settings (see branch-config.js)
+ * @param {string[]} [extraExcludes] - Exclusion globs given on the command line
+ * @returns {Object} Guard { protect: string[], exclude: string[], branchPatterns: string[] }
+ * @throws {Error} If the settings are invalid
+ */
+function getCleanupGuard(settings, extraExcludes = []) {
+  const section = settings.cleanup || {};
+  if (typeof section !== 'object' || Array.isArray(section)) {
+    throw new Error(`The cleanup settings must be a table with ${GUARD_FIELDS.join(', ')}`);
+  }
+  for (const field of Object.keys(section)) {
+    if (!GUARD_FIELDS.includes(field)) {
+      throw new Error(`Unknown field "${field}" in the cleanup settings. Expected: ${GUARD_FIELDS.join(', ')}`);
+    }
+  }
+
+  const list = (field) => {
+    const value = section[field] || [];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      throw new Error(`${field} in the cleanup settings must be a list of strings`);
+    }
+    return value;
+  };
+
+  return {
+    protect: list('protect'),
+    exclude: [...list('exclude'), ...extraExcludes],
+    branchPatterns: list('branch_patterns')
+  };
+}
+
+/**
+ * Explains why a resource name is protected
+ * @param {Object} guard - Guard from getCleanupGuard
+ * @param {string} name - Resource name
+ * @returns {string|null} Reason, or null if the name isn't protected
+ */
+function protectionOf(guard, name) {
+  if (guard.protect.includes(name)) return 'protected';
+  const glob = guard.exclude.find(pattern => globToRegExp(pattern).test(name));
+  return glob ? `excluded by "${glob}"` : null;
+}
+
+/**
+ * Checks whether a resource found by name has a branch part matching branch_patterns
+ * @param {Object} guard - Guard from getCleanupGuard
+ * @param {string} name - Resource name
+ * @param {string[]} baseNames - Base names of the resource's type
+ * @param {string} template - Naming template
+ * @returns {boolean} True if the branch part matches a pattern
+ */
+function matchesBranchPattern(guard, name, baseNames, template) {
+  return baseNames.some((baseName) => {
+    const branchPart = branchPartOf(name, baseName, template);
+    return branchPart !== null && guard.branchPatterns.some(pattern => globToRegExp(pattern).test(branchPart));
+  });
+}
+
+/**
+ * Drops resources cleanup must not delete, reporting each one
+ *   - protected names and names matching an exclusion glob
+ *   - without a branch filter, resources with no recorded owner whose branch part matches no branch_patterns
+ * @param {Object} context - Cleanup context (see cleanup.js)
+ * @param {Object} resources - Resources: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }
+ * @param {Object} guard - Guard from getCleanupGuard
+ * @param {Object} options - Options
+ * @param {string|null} options.branch - Branch filter (its exact names are trusted)
+ * @returns {Promise<Object>} Remaining resources
+ */
+async function guardResources(context, resources, guard, { branch }) {
+  const { registry, bindings } = context;
+  const template = context.config.nameTemplate;
+
+  // Found-by-name resources can still be recorded (e.g. with --discover)
+  const recorded = new Set();
+  if (registry) {
+    for (const record of await registry.listBranches()) {
+      for (const entry of record.resources) {
+        recorded.add(`${entry.type}:${entry.name}`);
+      }
+    }
+  }
+
+  const kept = {};
+  const refused = [];
+  for (const { type, nameKey, baseKey } of GUARDED_TYPES) {
+    const baseNames = bindings[type].map(b => b[baseKey]).filter(Boolean);
+    kept[type] = [];
+
+    for (const resource of resources[type]) {
+      const name = resource[nameKey];
+      const protection = protectionOf(guard, name);
+      if (protection) {
+        refused.push(`${name} (${protection})`);
+        continue;
+      }
+
+      const owned = resource.key || recorded.has(`${type}:${name}`) || branch ||
+        matchesBranchPattern(guard, name, baseNames, template);
+      if (!owned) {
+        refused.push(`${name} (no recorded owner, matches no branch_patterns)`);
+        continue;
+      }
+
+      kept[type].push(resource);
+    }
+  }
+
+  if (refused.length > 0) {
+    console.log(`Not touching ${refused.length} resource(s):`);
+    for (const line of refused) {
+      console.log(`  - ${line}`);
+    }
+  }
+
+  return kept;
+}
+
+module.exports = {
+  globToRegExp,
+  getCleanupGuard,
+  protectionOf,
+  guardResources
+};
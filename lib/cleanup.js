@@ -2,10 +2,21 @@
  * Cleanup logic for removing branch-specific resources
  */
 
-const { execSync } = require('child_process');
 const readline = require('readline');
 const { parseWranglerConfig, extractBindings } = require('./toml-parser.js');
-const { sanitizeBranchName } = require('./branch-sanitizer.js');
+const { resourceName, legacyResourceName, branchNamePattern } = require('./naming.js');
+const { getEnv } = require('./config.js');
+const { createProvider } = require('./provider.js');
+const { createStorage } = require('./storage.js');
+const { createStateRegistry, groupByType } = require('./state.js');
+const { formatDuration } = require('./duration.js');
+const { formatBytes, createS3Client, getBucketUsage, emptyBucket } = require('./r2-empty.js');
+const { loadBranchConfig } = require('./branch-config.js');
+const { getPreviewFallback, resetPreviewBindings } = require('./preview-reset.js');
+const { listBranchDeployments, deleteDeployments } = require('./pages-deployments.js');
+const { fetchAccountId } = require('./api-client.js');
+const { isProductionBranch } = require('./branch-sanitizer.js');
+const { getCleanupGuard, guardResources } = require('./cleanup-guard.js');
 
 /**
  * Prompts the user for yes/no confirmation
@@ -27,202 +38,420 @@ function confirm(question) {
 }
 
 /**
- * Lists all D1 databases in the account
- * @returns {Array} Array of { name, uuid } objects
+ * Builds a predicate matching branch resource names for a base name
+ * @param {string} baseName - Base resource name from wrangler config
+ * @param {string|null} branchFilter - Optional specific branch to match
+ * @param {string} template - Naming template
+ * @returns {Function} Predicate taking a resource name
  */
-function listD1Databases() {
-    try {
-        const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-        const cmd = accountId
-            ? `npx wrangler d1 list --accountId=${accountId} --json`
-            : 'npx wrangler d1 list --json';
-        const output = execSync(cmd, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
-        return JSON.parse(output);
-    } catch (_) {
-        return [];
-    }
-}
-
-/**
- * Lists all R2 buckets in the account
- * @returns {Array} Array of bucket objects with name property
- */
-function listR2Buckets() {
-    try {
-        const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-        const cmd = accountId
-            ? `npx wrangler r2 bucket list --accountId=${accountId} --json`
-            : 'npx wrangler r2 bucket list --json';
-        const output = execSync(cmd, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
-        return JSON.parse(output);
-    } catch (_) {
-        return [];
+function branchNameMatcher(baseName, branchFilter, template) {
+    if (branchFilter) {
+        // The branch's current name, or the name it had before naming templates
+        const names = [
+            resourceName(baseName, branchFilter, { template }),
+            legacyResourceName(baseName, branchFilter)
+        ];
+        return name => names.includes(name);
     }
-}
 
-/**
- * Lists all KV namespaces in the account
- * @returns {Array} Array of namespace objects with id/title properties
- */
-function listKVNamespaces() {
-    try {
-        const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-        const cmd = accountId
-            ? `npx wrangler kv namespace list --accountId=${accountId} --json`
-            : 'npx wrangler kv namespace list --json';
-        const output = execSync(cmd, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
-        return JSON.parse(output);
-    } catch (_) {
-        return [];
-    }
+    // Any branch's name, but not the base name itself
+    const pattern = branchNamePattern(baseName, template);
+    return name => name !== baseName && pattern.test(name);
 }
 
 /**
- * Finds branch-suffixed resources that match the base names from wrangler config
+ * Finds branch resources whose names derive from the base names in wrangler config
+ * @param {Object} provider - Resource provider (see provider.js)
  * @param {Object} bindings - Parsed bindings from wrangler config
  * @param {string|null} branchFilter - Optional specific branch to filter by
- * @returns {Object} Resources to delete: { d1: [], r2: [], kv: [] }
+ * @param {string} template - Naming template
+ * @returns {Promise<Object>} Resources to delete: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }, with the
+ *   creation time where the API reports one (KV namespaces have none) and the size of D1 databases
  */
-function findBranchResources(bindings, branchFilter) {
-    const suffix = branchFilter ? `-${sanitizeBranchName(branchFilter)}` : null;
-    const toDelete = { d1: [], r2: [], kv: [] };
+async function findBranchResources(provider, bindings, branchFilter, template) {
+    const toDelete = { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] };
 
     // Find D1 databases
-    const baseDbNames = bindings.d1.map(b => b.name);
-    const allDatabases = listD1Databases();
+    const dbMatchers = bindings.d1.map(b => branchNameMatcher(b.name, branchFilter, template));
+    const allDatabases = await provider.listD1Databases();
 
     for (const db of allDatabases) {
-        for (const baseName of baseDbNames) {
-            // Must start with base name + hyphen (branch suffix), but not be the base name itself
-            if (db.name === baseName) continue;
-            if (!db.name.startsWith(`${baseName}-`)) continue;
-
-            if (suffix && db.name !== `${baseName}${suffix}`) continue;
-            toDelete.d1.push({ name: db.name, id: db.uuid });
-        }
+        if (!dbMatchers.some(matches => matches(db.name))) continue;
+        toDelete.d1.push({ name: db.name, id: db.uuid, created_at: db.created_at, file_size: db.file_size });
     }
 
     // Find R2 buckets
-    const baseBucketNames = bindings.r2.map(b => b.name);
-    const allBuckets = listR2Buckets();
+    const bucketMatchers = bindings.r2.map(b => branchNameMatcher(b.name, branchFilter, template));
+    const allBuckets = await provider.listR2Buckets();
 
     for (const bucket of allBuckets) {
-        for (const baseName of baseBucketNames) {
-            if (bucket.name === baseName) continue;
-            if (!bucket.name.startsWith(`${baseName}-`)) continue;
-
-            if (suffix && bucket.name !== `${baseName}${suffix}`) continue;
-            toDelete.r2.push({ name: bucket.name });
-        }
+        if (!bucketMatchers.some(matches => matches(bucket.name))) continue;
+        toDelete.r2.push({ name: bucket.name, created_at: bucket.creation_date });
     }
 
     // Find KV namespaces
-    const baseKvIds = bindings.kv.map(b => b.id);
-    const allNamespaces = listKVNamespaces();
+    const kvMatchers = bindings.kv.map(b => branchNameMatcher(b.id, branchFilter, template));
+    const allNamespaces = await provider.listKVNamespaces();
 
     for (const ns of allNamespaces) {
-        for (const baseId of baseKvIds) {
-            if (ns.title === baseId) continue;
-            if (!ns.title.startsWith(`${baseId}-`)) continue;
+        if (!kvMatchers.some(matches => matches(ns.title))) continue;
+        toDelete.kv.push({ id: ns.id, title: ns.title });
+    }
 
-            if (suffix && ns.title !== `${baseId}${suffix}`) continue;
-            toDelete.kv.push({ id: ns.id, title: ns.title });
-        }
+    // Find queues
+    const queueMatchers = bindings.queues.map(b => branchNameMatcher(b.name, branchFilter, template));
+    const allQueues = await provider.listQueues();
+
+    for (const queue of allQueues) {
+        if (!queueMatchers.some(matches => matches(queue.queue_name))) continue;
+        toDelete.queues.push({ name: queue.queue_name, id: queue.queue_id, created_at: queue.created_on });
+    }
+
+    // Find Vectorize indexes
+    const indexMatchers = bindings.vectorize.map(b => branchNameMatcher(b.name, branchFilter, template));
+    const allIndexes = await provider.listVectorizeIndexes();
+
+    for (const index of allIndexes) {
+        if (!indexMatchers.some(matches => matches(index.name))) continue;
+        toDelete.vectorize.push({ name: index.name, created_at: index.created_on });
+    }
+
+    // Find Hyperdrive configs (bindings whose base config wasn't found have no name)
+    const hyperdriveMatchers = bindings.hyperdrive
+        .filter(b => b.name)
+        .map(b => branchNameMatcher(b.name, branchFilter, template));
+    const allHyperdriveConfigs = hyperdriveMatchers.length > 0 ? await provider.listHyperdriveConfigs() : [];
+
+    for (const hyperdrive of allHyperdriveConfigs) {
+        if (!hyperdriveMatchers.some(matches => matches(hyperdrive.name))) continue;
+        toDelete.hyperdrive.push({ name: hyperdrive.name, id: hyperdrive.id, created_at: hyperdrive.created_on });
     }
 
     return toDelete;
 }
 
 /**
- * Deletes a D1 database
- * @param {string} name - Database name
+ * Collects the resources recorded in the state registry
+ * @param {Object} registry - State registry (see state.js)
+ * @param {string|null} branchFilter - Optional specific branch to filter by
+ * @returns {Promise<Object>} Resources to delete: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }, tagged with their branch
  */
-function deleteD1(name) {
-    const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-    const cmd = accountId
-        ? `npx wrangler d1 delete ${name} --accountId=${accountId} -y`
-        : `npx wrangler d1 delete ${name} -y`;
-    execSync(cmd, { stdio: 'inherit' });
+async function findRecordedResources(registry, branchFilter) {
+    const records = branchFilter
+        ? [await registry.getBranch(branchFilter)].filter(Boolean)
+        : await registry.listBranches();
+
+    const toDelete = { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] };
+    for (const record of records) {
+        const grouped = groupByType(record);
+        toDelete.d1.push(...grouped.d1);
+        toDelete.r2.push(...grouped.r2);
+        toDelete.kv.push(...grouped.kv);
+        toDelete.queues.push(...grouped.queues);
+        toDelete.vectorize.push(...grouped.vectorize);
+        toDelete.hyperdrive.push(...grouped.hyperdrive);
+    }
+
+    return toDelete;
 }
 
 /**
- * Deletes an R2 bucket
- * @param {string} name - Bucket name
+ * Formats the owning branch and selection reason of a resource for display
+ * @param {Object} resource - Resource to delete
+ * @returns {string} Label such as ' [branch feature/x] - created 20d ago', or empty
  */
-function deleteR2(name) {
-    const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-    const cmd = accountId
-        ? `npx wrangler r2 bucket delete ${name} --accountId=${accountId}`
-        : `npx wrangler r2 bucket delete ${name}`;
-    execSync(cmd, { stdio: 'inherit' });
+function detailLabel(resource) {
+    const owner = resource.branch ? ` [branch ${resource.branch}]` : '';
+    const reason = resource.reason ? ` - ${resource.reason}` : '';
+    return `${owner}${reason}`;
 }
 
 /**
- * Deletes a KV namespace
- * @param {string} id - Namespace ID
+ * Copies last-provisioned times from the state registry onto discovered resources
+ * @param {Object} resources - Resources: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }
+ * @param {Object} registry - State registry (see state.js)
  */
-function deleteKV(id) {
-    const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-    const cmd = accountId
-        ? `npx wrangler kv namespace delete --namespace-id=${id} --accountId=${accountId}`
-        : `npx wrangler kv namespace delete --namespace-id=${id}`;
-    execSync(cmd, { stdio: 'inherit' });
+async function annotateLastProvisioned(resources, registry) {
+    const recorded = new Map();
+    for (const record of await registry.listBranches()) {
+        for (const entry of record.resources) {
+            recorded.set(`${entry.type}:${entry.name}`, entry.last_provisioned_at || record.last_provisioned_at);
+        }
+    }
+
+    for (const [type, nameKey] of [['d1', 'name'], ['r2', 'name'], ['kv', 'title'], ['queues', 'name'], ['vectorize', 'name'], ['hyperdrive', 'name']]) {
+        for (const resource of resources[type]) {
+            if (resource.last_provisioned_at) continue;
+            resource.last_provisioned_at = recorded.get(`${type}:${resource[nameKey]}`);
+        }
+    }
 }
 
 /**
- * Main cleanup entry point
- * @param {Object} options - Cleanup options
- * @param {boolean} options.autoConfirm - Skip interactive prompts
- * @param {string|null} options.branch - Optional branch filter
+ * Selects resources unused for longer than a maximum age, recording why each was selected
+ * Uses the last-provisioned time where known and the creation time otherwise;
+ * resources with neither (e.g. discovered KV namespaces) are never selected.
+ * @param {Object} resources - Resources: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }
+ * @param {number} maxAgeMs - Maximum age in milliseconds
+ * @returns {{ selected: Object, unknownCount: number }} Selected resources and how many had no known age
  */
-async function cleanup(options = {}) {
-    const { autoConfirm = false, branch = null } = options;
+function selectOlderThan(resources, maxAgeMs) {
+    const now = Date.now();
+    const selected = { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] };
+    let unknownCount = 0;
+
+    for (const type of ['d1', 'r2', 'kv', 'queues', 'vectorize', 'hyperdrive']) {
+        for (const resource of resources[type]) {
+            const lastUsed = resource.last_provisioned_at || resource.created_at;
+            if (!lastUsed) {
+                unknownCount++;
+                continue;
+            }
 
-    console.log('cf-branch-wrangler: Starting cleanup');
+            const age = now - Date.parse(lastUsed);
+            if (age < maxAgeMs) continue;
+
+            const basis = resource.last_provisioned_at ? 'last provisioned' : 'created';
+            selected[type].push({ ...resource, reason: `${basis} ${formatDuration(age)} ago (${lastUsed})` });
+        }
+    }
+
+    return { selected, unknownCount };
+}
+
+/**
+ * Loads config, bindings, provider and (if configured) the state registry for cleanup commands
+ * @param {Object} [options] - Options
+ * @param {string} [options.env] - Wrangler environment (overrides CF_BRANCH_WRANGLER_ENV)
+ * @returns {Promise<Object>} Context { config, bindings, settings, provider, registry, s3, lockStorage }
+ */
+async function createCleanupContext(options = {}) {
+    // API token is optional here - without one we fall back to the wrangler CLI and its own auth
+    const config = getEnv({ requireApiToken: false });
+    if (options.env) {
+        config.environment = options.env;
+    }
 
     // Parse wrangler config for base resource names
-    // No API token needed - all operations go via wrangler CLI which uses its own auth
     console.log('Parsing wrangler config');
     const { config: wranglerConfig } = parseWranglerConfig();
-    const bindings = extractBindings(wranglerConfig);
+    const bindings = extractBindings(wranglerConfig, config.environment);
+    const { settings } = loadBranchConfig(wranglerConfig);
+    config.projectName = config.projectName || wranglerConfig.name;
+
+    const provider = await createProvider(config);
+
+    // Hyperdrive bindings only hold a config ID; branch configs are named after the base config
+    for (const b of bindings.hyperdrive) {
+        const base = await provider.getHyperdriveConfig(b.id);
+        b.name = base ? base.name : null;
+        if (!base) {
+            console.warn(`Warning: Hyperdrive config ${b.id} (binding ${b.binding}) not found, skipping its branch configs`);
+        }
+    }
+
+    // With a state registry, delete exactly what was recorded instead of guessing from names
+    let registry = null;
+    if (config.state) {
+        if (!config.projectName) {
+            throw new Error('CF_PAGES_PROJECT_NAME not set and no "name" field found in wrangler config.');
+        }
+        registry = createStateRegistry(createStorage(config.state, config), config.projectName);
+    }
+
+    // The S3 API deletes objects in bulk and is the only way to abort in-progress multipart uploads
+    const s3 = createS3Client(config);
+
+    // Preview binding lock, taken while resetting bindings that point at deleted resources
+    const lockStorage = config.lock ? createStorage(config.lock, config) : null;
+
+    return { config, bindings, settings, provider, registry, s3, lockStorage };
+}
 
-    // Discover branch-specific resources
+/**
+ * Finds branch resources from the state registry, or by name if there is none
+ * @param {Object} context - Cleanup context from createCleanupContext
+ * @param {Object} options - Options
+ * @param {string|null} options.branch - Optional branch filter
+ * @param {boolean} [options.discover] - Find resources by name even when a state registry is configured
+ * @returns {Promise<Object>} Resources: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }; recorded ones carry their branch key
+ */
+async function findResources(context, { branch, discover = false }) {
     const filterLabel = branch ? ` for branch "${branch}"` : '';
+
+    if (context.registry && !discover) {
+        console.log(`\nReading recorded branch resources${filterLabel} from ${context.registry.description}...`);
+        return findRecordedResources(context.registry, branch);
+    }
+
     console.log(`\nSearching for branch-specific resources${filterLabel}...`);
-    const resources = findBranchResources(bindings, branch);
+    return findBranchResources(context.provider, context.bindings, branch, context.config.nameTemplate);
+}
+
+/**
+ * Adds object counts and total sizes to R2 buckets, as bucket.usage
+ * @param {Object} context - Cleanup context from createCleanupContext
+ * @param {Array<Object>} buckets - R2 bucket resources
+ */
+async function annotateBucketUsage(context, buckets) {
+    if (buckets.length > 0) {
+        console.log('Counting objects in R2 buckets');
+    }
+    for (const bucket of buckets) {
+        try {
+            bucket.usage = await getBucketUsage(context.provider, bucket.name);
+        } catch (error) {
+            console.warn(`  Warning: Could not list objects in ${bucket.name}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Formats the usage of an R2 bucket for summaries and prompts
+ * @param {Object} bucket - R2 bucket resource
+ * @returns {string} Label such as " (12 objects, 3.4 MB)", or empty if the usage is unknown
+ */
+function usageLabel(bucket) {
+    return bucket.usage ? ` (${bucket.usage.objects} objects, ${formatBytes(bucket.usage.bytes)})` : '';
+}
+
+/**
+ * Keeps only the resources matching a predicate
+ * @param {Object} resources - Resources: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }
+ * @param {Function} predicate - Called with each resource
+ * @returns {Object} Filtered resources
+ */
+function filterResources(resources, predicate) {
+    return {
+        d1: resources.d1.filter(predicate),
+        r2: resources.r2.filter(predicate),
+        kv: resources.kv.filter(predicate),
+        queues: resources.queues.filter(predicate),
+        vectorize: resources.vectorize.filter(predicate),
+        hyperdrive: resources.hyperdrive.filter(predicate)
+    };
+}
 
-    const totalCount = resources.d1.length + resources.r2.length + resources.kv.length;
+/**
+ * Prints a summary of resources selected for deletion
+ * @param {Object} resources - Resources: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }
+ * @returns {number} Total number of resources
+ */
+function printResources(resources) {
+    const totalCount = resources.d1.length + resources.r2.length + resources.kv.length +
+        resources.queues.length + resources.vectorize.length + resources.hyperdrive.length;
     if (totalCount === 0) {
-        console.log('No branch-specific resources found. Nothing to clean up.');
-        return;
+        return 0;
     }
 
-    // Print summary
     console.log(`\nFound ${totalCount} branch-specific resource(s):\n`);
 
     if (resources.d1.length > 0) {
         console.log('  D1 Databases:');
         for (const db of resources.d1) {
-            console.log(`    - ${db.name} (${db.id})`);
+            console.log(`    - ${db.name} (${db.id})${detailLabel(db)}`);
         }
     }
     if (resources.r2.length > 0) {
         console.log('  R2 Buckets:');
         for (const bucket of resources.r2) {
-            console.log(`    - ${bucket.name}`);
+            console.log(`    - ${bucket.name}${usageLabel(bucket)}${detailLabel(bucket)}`);
         }
     }
     if (resources.kv.length > 0) {
         console.log('  KV Namespaces:');
         for (const ns of resources.kv) {
-            console.log(`    - ${ns.title} (${ns.id})`);
+            console.log(`    - ${ns.title} (${ns.id})${detailLabel(ns)}`);
+        }
+    }
+    if (resources.queues.length > 0) {
+        console.log('  Queues:');
+        for (const queue of resources.queues) {
+            console.log(`    - ${queue.name} (${queue.id})${detailLabel(queue)}`);
         }
     }
+    if (resources.vectorize.length > 0) {
+        console.log('  Vectorize Indexes:');
+        for (const index of resources.vectorize) {
+            console.log(`    - ${index.name}${detailLabel(index)}`);
+        }
+    }
+    if (resources.hyperdrive.length > 0) {
+        console.log('  Hyperdrive Configs:');
+        for (const hyperdrive of resources.hyperdrive) {
+            console.log(`    - ${hyperdrive.name} (${hyperdrive.id})${detailLabel(hyperdrive)}`);
+        }
+    }
+
+    console.log('');
+    return totalCount;
+}
+
+/**
+ * Lists the Pages deployments of a branch for deletion
+ * @param {Object} context - Cleanup context from createCleanupContext
+ * @param {string} branch - Branch name
+ * @returns {Promise<Array<Object>>} Deployments (see pages-deployments.js), empty if they can't be listed
+ * @throws {Error} If the branch is the production branch
+ */
+async function findDeployments(context, branch) {
+    const { config } = context;
+
+    if (isProductionBranch(branch, config.productionBranch)) {
+        throw new Error(`Refusing to delete Pages deployments of the production branch "${branch}"`);
+    }
+    if (!config.apiToken) {
+        console.warn('Warning: CLOUDFLARE_API_TOKEN not set, can\'t list Pages deployments');
+        return [];
+    }
+    if (!config.projectName) {
+        throw new Error('CF_PAGES_PROJECT_NAME not set and no "name" field found in wrangler config.');
+    }
+    if (!config.accountId) {
+        config.accountId = await fetchAccountId(config.apiToken);
+    }
+
+    console.log(`Listing Pages deployments of branch "${branch}" in ${config.projectName}`);
+    return listBranchDeployments(config, branch);
+}
 
+/**
+ * Prints a summary of Pages deployments selected for deletion
+ * @param {Array<Object>} deployments - Deployments from findDeployments
+ */
+function printDeployments(deployments) {
+    if (deployments.length === 0) return;
+
+    console.log(`  Pages Deployments (${deployments.length}):`);
+    for (const deployment of deployments) {
+        const aliases = deployment.aliases.length > 0 ? ` [alias ${deployment.aliases.join(', ')}]` : '';
+        console.log(`    - ${deployment.id} (${deployment.created_on})${aliases}`);
+    }
     console.log('');
+}
+
+/**
+ * Deletes resources, prompting for each one unless auto-confirmed
+ * @param {Object} context - Cleanup context from createCleanupContext
+ * @param {Object} resources - Resources: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }
+ * @param {Object} options - Options
+ * @param {boolean} options.autoConfirm - Skip interactive prompts
+ * @param {boolean} [options.emptyBuckets] - Delete the objects in R2 buckets before deleting the buckets
+ * @returns {Promise<{deletedCount: number, skippedCount: number, deleted: Object}>} Counts, and the resources deleted
+ */
+async function deleteResources(context, resources, { autoConfirm, emptyBuckets = false }) {
+    const { provider, registry, s3 } = context;
+
+    // Drops a deleted resource from the registry (discovered resources have no key, so all records are checked)
+    const forget = async (resource, type, name) => {
+        if (registry) {
+            await registry.removeResources(resource.key || null, [{ type, name }]);
+        }
+    };
 
     let deletedCount = 0;
     let skippedCount = 0;
+    const deleted = { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] };
 
     // Delete D1 databases
     for (const db of resources.d1) {
@@ -236,7 +465,9 @@ async function cleanup(options = {}) {
         }
         try {
             console.log(`  Deleting D1 database: ${db.name}`);
-            deleteD1(db.name);
+            await provider.deleteD1Database(db);
+            await forget(db, 'd1', db.name);
+            deleted.d1.push(db);
             deletedCount++;
         } catch (error) {
             console.error(`  Failed to delete D1 database ${db.name}: ${error.message}`);
@@ -246,7 +477,10 @@ async function cleanup(options = {}) {
     // Delete R2 buckets
     for (const bucket of resources.r2) {
         if (!autoConfirm) {
-            const ok = await confirm(`Delete R2 bucket "${bucket.name}"?`);
+            const contents = emptyBuckets && bucket.usage && bucket.usage.objects > 0
+                ? ` and its ${bucket.usage.objects} object(s) (${formatBytes(bucket.usage.bytes)})`
+                : '';
+            const ok = await confirm(`Delete R2 bucket "${bucket.name}"${contents}?`);
             if (!ok) {
                 console.log(`  Skipped ${bucket.name}`);
                 skippedCount++;
@@ -254,11 +488,22 @@ async function cleanup(options = {}) {
             }
         }
         try {
+            if (emptyBuckets) {
+                console.log(`  Emptying R2 bucket: ${bucket.name}`);
+                await emptyBucket(provider, s3, bucket.name);
+            }
             console.log(`  Deleting R2 bucket: ${bucket.name}`);
-            deleteR2(bucket.name);
+            await provider.deleteR2Bucket(bucket.name);
+            await forget(bucket, 'r2', bucket.name);
+            deleted.r2.push(bucket);
             deletedCount++;
         } catch (error) {
             console.error(`  Failed to delete R2 bucket ${bucket.name}: ${error.message}`);
+            if (!emptyBuckets) {
+                console.error('  If the bucket still holds objects, run again with --empty-buckets');
+            } else if (!s3) {
+                console.error('  In-progress multipart uploads are only aborted with CF_BRANCH_WRANGLER_R2_ACCESS_KEY_ID set');
+            }
         }
     }
 
@@ -274,14 +519,179 @@ async function cleanup(options = {}) {
         }
         try {
             console.log(`  Deleting KV namespace: ${ns.title}`);
-            deleteKV(ns.id);
+            await provider.deleteKVNamespace(ns.id);
+            await forget(ns, 'kv', ns.title);
+            deleted.kv.push(ns);
             deletedCount++;
         } catch (error) {
             console.error(`  Failed to delete KV namespace ${ns.title}: ${error.message}`);
         }
     }
 
+    // Delete queues
+    for (const queue of resources.queues) {
+        if (!autoConfirm) {
+            const ok = await confirm(`Delete queue "${queue.name}"?`);
+            if (!ok) {
+                console.log(`  Skipped ${queue.name}`);
+                skippedCount++;
+                continue;
+            }
+        }
+        try {
+            console.log(`  Deleting queue: ${queue.name}`);
+            await provider.deleteQueue(queue);
+            await forget(queue, 'queues', queue.name);
+            deleted.queues.push(queue);
+            deletedCount++;
+        } catch (error) {
+            console.error(`  Failed to delete queue ${queue.name}: ${error.message}`);
+        }
+    }
+
+    // Delete Vectorize indexes
+    for (const index of resources.vectorize) {
+        if (!autoConfirm) {
+            const ok = await confirm(`Delete Vectorize index "${index.name}"?`);
+            if (!ok) {
+                console.log(`  Skipped ${index.name}`);
+                skippedCount++;
+                continue;
+            }
+        }
+        try {
+            console.log(`  Deleting Vectorize index: ${index.name}`);
+            await provider.deleteVectorizeIndex(index.name);
+            await forget(index, 'vectorize', index.name);
+            deleted.vectorize.push(index);
+            deletedCount++;
+        } catch (error) {
+            console.error(`  Failed to delete Vectorize index ${index.name}: ${error.message}`);
+        }
+    }
+
+    // Delete Hyperdrive configs
+    for (const hyperdrive of resources.hyperdrive) {
+        if (!autoConfirm) {
+            const ok = await confirm(`Delete Hyperdrive config "${hyperdrive.name}"?`);
+            if (!ok) {
+                console.log(`  Skipped ${hyperdrive.name}`);
+                skippedCount++;
+                continue;
+            }
+        }
+        try {
+            console.log(`  Deleting Hyperdrive config: ${hyperdrive.name}`);
+            await provider.deleteHyperdriveConfig(hyperdrive.id);
+            await forget(hyperdrive, 'hyperdrive', hyperdrive.name);
+            deleted.hyperdrive.push(hyperdrive);
+            deletedCount++;
+        } catch (error) {
+            console.error(`  Failed to delete Hyperdrive config ${hyperdrive.name}: ${error.message}`);
+        }
+    }
+
+    return { deletedCount, skippedCount, deleted };
+}
+
+/**
+ * Main cleanup entry point
+ * @param {Object} options - Cleanup options
+ * @param {boolean} options.autoConfirm - Skip interactive prompts
+ * @param {string|null} options.branch - Optional branch filter
+ * @param {boolean} [options.discover] - Find resources by name even when a state registry is configured
+ * @param {number|null} [options.olderThan] - Only delete resources unused for this many milliseconds
+ * @param {boolean} [options.emptyBuckets] - Delete the objects in R2 buckets before deleting the buckets
+ * @param {boolean} [options.bucketUsage] - Show the object count and total size of R2 buckets
+ * @param {string} [options.previewFallback] - Fallback for preview bindings of deleted resources (overrides preview_fallback)
+ * @param {boolean} [options.deployments] - Also delete the branch's Pages deployments and alias (needs branch)
+ * @param {boolean} [options.allBranches] - Allow autoConfirm without a branch filter
+ * @param {string[]} [options.exclude] - Extra exclusion globs for resource names
+ * @param {string} [options.env] - Wrangler environment (overrides CF_BRANCH_WRANGLER_ENV)
+ */
+async function cleanup(options = {}) {
+    const {
+        autoConfirm = false, branch = null, discover = false, olderThan = null, emptyBuckets = false, bucketUsage = false,
+        deployments = false, allBranches = false
+    } = options;
+
+    console.log('cf-branch-wrangler: Starting cleanup');
+
+    if (autoConfirm && !branch && !allBranches) {
+        throw new Error(
+            '--confirm without --branch deletes the resources of every branch without asking. ' +
+            'Add --all-branches if that is what you want.'
+        );
+    }
+
+    if (deployments && !branch) {
+        throw new Error('--deployments needs --branch: deployments are only deleted for one branch at a time');
+    }
+
+    const context = await createCleanupContext({ env: options.env });
+    // Checked up front so a bad setting fails before anything is deleted
+    const fallback = getPreviewFallback(context.settings, options.previewFallback, context.config.productionBranch);
+    const guard = getCleanupGuard(context.settings, options.exclude);
+    let resources = await guardResources(context, await findResources(context, { branch, discover }), guard, { branch });
+
+    if (olderThan !== null) {
+        console.log(`Selecting resources unused for at least ${formatDuration(olderThan)}`);
+        if (context.registry) {
+            await annotateLastProvisioned(resources, context.registry);
+        }
+
+        const { selected, unknownCount } = selectOlderThan(resources, olderThan);
+        if (unknownCount > 0) {
+            console.log(`  Skipping ${unknownCount} resource(s) with no known creation or provisioning time`);
+        }
+        resources = selected;
+    }
+
+    // Buckets about to be emptied always show what they hold
+    if (bucketUsage || emptyBuckets) {
+        await annotateBucketUsage(context, resources.r2);
+    }
+
+    const pagesDeployments = deployments ? await findDeployments(context, branch) : [];
+
+    const resourceCount = printResources(resources);
+    if (resourceCount === 0 && pagesDeployments.length > 0) {
+        console.log('');
+    }
+    printDeployments(pagesDeployments);
+    if (resourceCount === 0 && pagesDeployments.length === 0) {
+        console.log('No branch-specific resources found. Nothing to clean up.');
+        return;
+    }
+
+    let { deletedCount, skippedCount, deleted } = await deleteResources(context, resources, { autoConfirm, emptyBuckets });
+    if (deletedCount > 0) {
+        await resetPreviewBindings(context, deleted, fallback);
+    }
+
+    if (pagesDeployments.length > 0) {
+        const ok = autoConfirm ||
+            await confirm(`Delete ${pagesDeployments.length} Pages deployment(s) of branch "${branch}", including its alias?`);
+        if (ok) {
+            console.log(`Deleting Pages deployments of branch "${branch}"`);
+            const result = await deleteDeployments(context.config, pagesDeployments);
+            deletedCount += result.deletedCount;
+        } else {
+            console.log(`  Skipped ${pagesDeployments.length} Pages deployment(s)`);
+            skippedCount += pagesDeployments.length;
+        }
+    }
+
     console.log(`\ncf-branch-wrangler cleanup: Done (${deletedCount} deleted, ${skippedCount} skipped)`);
 }
 
-module.exports = { cleanup };
+module.exports = {
+    createCleanupContext,
+    findResources,
+    filterResources,
+    selectOlderThan,
+    annotateBucketUsage,
+    printResources,
+    deleteResources,
+    cleanup
+};
@@ -0,0 +1,150 @@
+/**
+ * Surgical editor for wrangler.toml and wrangler.jsonc
+ * Edits are recorded against source positions and applied in one pass, so
+ * comments, ordering and formatting outside the edited values stay byte for byte.
+ */
+
+const toml = require('@iarna/toml');
+const { parseJsoncTree } = require('./jsonc.js');
+const { parseTomlTree } = require('./toml-tree.js');
+
+/**
+ * Formats a scalar as a TOML or JSON literal
+ * Strings use JSON escaping, which is also a valid TOML basic string.
+ * @param {string|number|boolean} value - Value to format
+ * @returns {string} Literal
+ */
+function formatLiteral(value) {
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Formats a TOML key, quoting it unless it's a bare key
+ * @param {string} key - Key
+ * @returns {string} Key as written in TOML
+ */
+function formatTomlKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Creates an editor for config file content
+ * @param {string} content - Config file content
+ * @param {string} format - Config format: 'toml' or 'jsonc'
+ * @returns {Object} Editor with get/setValue/appendValue/toString
+ */
+function createConfigEditor(content, format) {
+  const isJsonc = format === 'jsonc';
+  const root = isJsonc ? parseJsoncTree(content) : parseTomlTree(content);
+  const edits = [];
+
+  const addEdit = (start, end, text) => edits.push({ start, end, text, order: edits.length });
+
+  // Text inserting a property after the last one of an object or table
+  function propertyText(object, key, valueText) {
+    const hasProps = object.props.size > 0;
+
+    if (isJsonc) {
+      const prop = `${JSON.stringify(key)}: ${valueText}`;
+      if (!object.multiline) return hasProps ? `, ${prop}` : ` ${prop} `;
+      const indent = object.indent !== null ? object.indent : `${guessIndent(object.start)}  `;
+      return `${hasProps ? ',' : ''}\n${indent}${prop}`;
+    }
+
+    const prop = `${formatTomlKey(key)} = ${valueText}`;
+    if (object.inline) return hasProps ? `, ${prop}` : ` ${prop} `;
+    return `\n${object.indent}${prop}`;
+  }
+
+  function guessIndent(offset) {
+    const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+    return content.slice(lineStart).match(/^[ \t]*/)[0];
+  }
+
+  return {
+    /**
+     * Looks up a node by path
+     * @param {Array<string|number>} path - Property names and array indexes
+     * @returns {Object|null} Node, or null if the path doesn't exist
+     */
+    get(path) {
+      let node = root;
+      for (const part of path) {
+        if (!node) return null;
+        node = node.type === 'array' ? node.items[part] : node.type === 'object' ? node.props.get(part) : null;
+      }
+      return node || null;
+    },
+
+    /**
+     * Sets a scalar property of an object or table, replacing only the value's bytes
+     * Missing properties are added after the object's last property.
+     * @param {Object} object - Object node from get()
+     * @param {string} key - Property name
+     * @param {string|number|boolean} value - New value
+     */
+    setValue(object, key, value) {
+      const existing = object.props.get(key);
+      if (existing) {
+        if (existing.type !== 'value') {
+          throw new Error(`Can't set "${key}": it isn't a plain value`);
+        }
+        addEdit(existing.start, existing.end, formatLiteral(value));
+        return;
+      }
+
+      addEdit(object.insertPos, object.insertPos, propertyText(object, key, formatLiteral(value)));
+      // Later insertions into this object need a separator
+      object.props.set(key, { type: 'inserted' });
+    },
+
+    /**
+     * Adds an array of tables or a table to a section
+     * In TOML they are appended as [[section.key]] / [section.key] tables at the end of the file.
+     * @param {Array<string>} sectionPath - Path of the section (empty for the top level)
+     * @param {string} key - Property name
+     * @param {Array<Object>|Object} value - Entries or table to write
+     */
+    appendValue(sectionPath, key, value) {
+      const section = this.get(sectionPath);
+
+      if (isJsonc) {
+        const indent = section.indent !== null ? section.indent : `${guessIndent(section.start)}  `;
+        const valueText = section.multiline
+          ? JSON.stringify(value, null, 2).split('\n').join(`\n${indent}`)
+          : JSON.stringify(value);
+        addEdit(section.insertPos, section.insertPos, propertyText(section, key, valueText));
+        section.props.set(key, { type: 'inserted' });
+        return;
+      }
+
+      if (section && section.inline) {
+        throw new Error(`Can't add ${key} to inline table ${sectionPath.join('.')}`);
+      }
+      let nested = { [key]: value };
+      for (const part of [...sectionPath].reverse()) {
+        nested = { [part]: nested };
+      }
+      const separator = content.endsWith('\n') || content === '' ? '\n' : '\n\n';
+      addEdit(content.length, content.length, `${separator}${toml.stringify(nested).trimEnd()}\n`);
+    },
+
+    /**
+     * Returns the content with all edits applied
+     * @returns {string} Edited content
+     */
+    toString() {
+      // Apply back to front; insertions at the same spot keep the order they were made in
+      const sorted = [...edits].sort((a, b) => b.start - a.start || b.order - a.order);
+      let result = content;
+      for (const edit of sorted) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  createConfigEditor
+};
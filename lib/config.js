@@ -2,17 +2,23 @@
  * Environment variable validation and configuration
  */
 
+const { DEFAULT_NAME_TEMPLATE, validateTemplate } = require('./naming.js');
+
 // Only API token is truly required since we derive the rest
 const REQUIRED_ENV_VARS = ['CLOUDFLARE_API_TOKEN'];
 
+// Resource backends: the REST API by default, wrangler CLI as a fallback
+const BACKENDS = ['api', 'wrangler'];
+
 /**
  * Validates that all required environment variables are set
+ * @param {string[]} [required] - Variables to check (defaults to REQUIRED_ENV_VARS)
  * @throws {Error} If any required environment variable is missing
  */
-function validateEnv() {
+function validateEnv(required = REQUIRED_ENV_VARS) {
   const missing = [];
 
-  for (const envVar of REQUIRED_ENV_VARS) {
+  for (const envVar of required) {
     if (!process.env[envVar]) {
       missing.push(envVar);
     }
@@ -25,24 +31,92 @@ function validateEnv() {
   }
 }
 
+/**
+ * Returns the resource backend selected via CF_BRANCH_WRANGLER_BACKEND
+ * @returns {'api'|'wrangler'} Backend name (defaults to 'api')
+ * @throws {Error} If an unknown backend is requested
+ */
+function getBackend() {
+  const backend = (process.env.CF_BRANCH_WRANGLER_BACKEND || 'api').trim().toLowerCase();
+
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(
+      `Invalid CF_BRANCH_WRANGLER_BACKEND "${backend}". Expected one of: ${BACKENDS.join(', ')}`
+    );
+  }
+
+  return backend;
+}
+
+/**
+ * Reads a non-negative integer from an environment variable
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value when the variable is unset
+ * @returns {number} Parsed value
+ * @throws {Error} If the variable is set but not a non-negative integer
+ */
+function getIntEnv(name, defaultValue) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return defaultValue;
+
+  const value = Number(raw.trim());
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid ${name} "${raw}". Expected a non-negative integer`);
+  }
+  return value;
+}
+
+/**
+ * Returns the resource naming template selected via CF_BRANCH_WRANGLER_NAME_TEMPLATE
+ * @returns {string} Naming template (defaults to DEFAULT_NAME_TEMPLATE)
+ * @throws {Error} If the template is invalid
+ */
+function getNameTemplate() {
+  const template = (process.env.CF_BRANCH_WRANGLER_NAME_TEMPLATE || DEFAULT_NAME_TEMPLATE).trim();
+  validateTemplate(template);
+  return template;
+}
+
 /**
  * Returns validated configuration object from environment variables
  * Values are either set directly or can be derived later
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.requireApiToken=true] - Fail if CLOUDFLARE_API_TOKEN is missing
+ *   (commands like cleanup can fall back to the wrangler CLI's own auth)
  * @returns {Object} Configuration object with all required values
  */
-function getEnv() {
-  validateEnv();
+function getEnv(options = {}) {
+  const { requireApiToken = true } = options;
+  validateEnv(requireApiToken ? REQUIRED_ENV_VARS : []);
 
   return {
-    apiToken: process.env.CLOUDFLARE_API_TOKEN.trim(),
+    apiToken: process.env.CLOUDFLARE_API_TOKEN ? process.env.CLOUDFLARE_API_TOKEN.trim() : undefined,
     accountId: process.env.CLOUDFLARE_ACCOUNT_ID, // Optional - Wrangler derives it
     projectName: process.env.CF_PAGES_PROJECT_NAME, // Optional - Derived from wrangler.toml
     branch: process.env.CF_PAGES_BRANCH, // Required - Set by CF Pages CI
-    productionBranch: process.env.CF_PAGES_PRODUCTION_BRANCH || 'main'
+    productionBranch: process.env.CF_PAGES_PRODUCTION_BRANCH || 'main',
+    backend: getBackend(),
+    nameTemplate: getNameTemplate(),
+    // Wrangler environment to resolve bindings for, unset uses the top level (--env overrides it)
+    environment: process.env.CF_BRANCH_WRANGLER_ENV || null,
+    // Preview binding lock: storage spec (kv:<namespace-id> or file:<path>), unset disables it
+    lock: process.env.CF_BRANCH_WRANGLER_LOCK || null,
+    lockTtl: getIntEnv('CF_BRANCH_WRANGLER_LOCK_TTL', 600),
+    lockWait: getIntEnv('CF_BRANCH_WRANGLER_LOCK_WAIT', 600),
+    // Provisioning state registry: storage spec (kv:, r2: or file:), unset disables it
+    state: process.env.CF_BRANCH_WRANGLER_STATE || null,
+    // R2 S3 API access keys, used to delete objects in bulk and abort multipart uploads when emptying buckets
+    r2AccessKeyId: process.env.CF_BRANCH_WRANGLER_R2_ACCESS_KEY_ID || null,
+    r2SecretAccessKey: process.env.CF_BRANCH_WRANGLER_R2_SECRET_ACCESS_KEY || null,
+    // R2 S3 API endpoint, defaults to https://<account-id>.r2.cloudflarestorage.com
+    r2Endpoint: process.env.CF_BRANCH_WRANGLER_R2_ENDPOINT || null
   };
 }
 
 module.exports = {
   validateEnv,
+  getBackend,
+  getIntEnv,
+  getNameTemplate,
   getEnv
 };
@@ -0,0 +1,304 @@
+/**
+ * Copying D1 data into a new branch database
+ * Configured per D1 binding in the cf-branch-wrangler settings:
+ *   [branch_wrangler.bindings.DB.clone]
+ *   source = "production"            # the binding's base database (default)
+ *   snapshot = "my-db-nightly"       # or a named snapshot database
+ *   bookmark = "00000085-..."        # with snapshot: restore it to this time-travel bookmark first
+ *   include_tables = ["users"]       # only these tables
+ *   exclude_tables = ["audit_log"]   # never these tables
+ *   scrub = "./scripts/scrub.js"     # row hook: (table, row) => row, or null to drop the row
+ * Rows are read through the provider and written out as SQL scripts for
+ * wrangler d1 execute, one chunk at a time.
+ */
+
+const path = require('path');
+const { MARKER_TABLE } = require('./d1-seed.js');
+
+// Rows read per query
+const PAGE_SIZE = 500;
+
+// Approximate size of each SQL script handed out for execution
+const CHUNK_BYTES = 1024 * 1024;
+
+// Result column carrying the rowid of tables keyed by it
+const ROWID_COLUMN = '_branch_wrangler_rowid';
+
+// SQLite, D1, wrangler and seed marker bookkeeping tables, never copied
+const INTERNAL_TABLES = "name NOT GLOB 'sqlite_*' AND name NOT GLOB '_cf_*' AND name != 'd1_migrations' " +
+  `AND name != '${MARKER_TABLE}'`;
+
+const CLONE_FIELDS = ['source', 'snapshot', 'bookmark', 'include_tables', 'exclude_tables', 'scrub'];
+
+/**
+ * Reads and validates the clone settings of a D1 binding
+ * @param {Object} settings - cf-branch-wrangler settings (see branch-config.js)
+ * @param {Object} binding - D1 binding configuration
+ * @returns {Object|null} Clone settings, or null if the binding isn't cloned
+ * @throws {Error} If the settings are invalid
+ */
+function getCloneSettings(settings, binding) {
+  const bindingSettings = (settings.bindings || {})[binding.binding];
+  const clone = bindingSettings && bindingSettings.clone;
+  if (!clone) return null;
+
+  const label = `clone settings of binding ${binding.binding}`;
+  for (const field of Object.keys(clone)) {
+    if (!CLONE_FIELDS.includes(field)) {
+      throw new Error(`Unknown field "${field}" in ${label}. Expected: ${CLONE_FIELDS.join(', ')}`);
+    }
+  }
+  if (clone.source !== undefined && clone.source !== 'production') {
+    throw new Error(`Invalid source "${clone.source}" in ${label}. Use "production", or snapshot for another database`);
+  }
+  if (clone.source && clone.snapshot) {
+    throw new Error(`Set either source or snapshot in ${label}, not both`);
+  }
+  if (clone.bookmark && !clone.snapshot) {
+    // Bookmarks can only be restored in place, which would rewrite production
+    throw new Error(
+      `A bookmark in ${label} needs a snapshot database to restore. ` +
+      'Time travel restores a database in place, so production is never used with a bookmark'
+    );
+  }
+  for (const field of ['include_tables', 'exclude_tables']) {
+    if (clone[field] !== undefined && !(Array.isArray(clone[field]) && clone[field].every(t => typeof t === 'string'))) {
+      throw new Error(`${field} in ${label} must be a list of table names`);
+    }
+  }
+
+  return clone;
+}
+
+/**
+ * Finds the database to copy data from
+ * @param {Object} clone - Clone settings from getCloneSettings
+ * @param {Object} binding - D1 binding configuration
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @returns {Promise<Object>} Source { id, name, bookmark, label }
+ * @throws {Error} If the source database doesn't exist
+ */
+async function resolveCloneSource(clone, binding, provider) {
+  const name = clone.snapshot || binding.name;
+  const id = (!clone.snapshot && binding.id) || await provider.findD1Database(name);
+  if (!id) {
+    throw new Error(`Clone source database ${name} not found`);
+  }
+
+  const label = clone.snapshot
+    ? `snapshot ${name}${clone.bookmark ? ` at bookmark ${clone.bookmark}` : ''}`
+    : `production database ${name}`;
+  return { id, name, bookmark: clone.bookmark || null, label };
+}
+
+/**
+ * Quotes an SQL identifier
+ * @param {string} name - Table or column name
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Formats a value from a D1 result row as an SQL literal
+ * @param {*} value - Value (BLOBs come back as arrays of bytes)
+ * @returns {string} Literal
+ */
+function sqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (Array.isArray(value)) return `X'${Buffer.from(value).toString('hex')}'`;
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Loads the row-scrubbing hook
+ * @param {string} scrubPath - Module path, relative to the working directory
+ * @returns {Function} Hook (table, row) => row or null
+ * @throws {Error} If the module doesn't export a function
+ */
+function loadScrubber(scrubPath) {
+  const hook = require(path.resolve(process.cwd(), scrubPath));
+  if (typeof hook !== 'function') {
+    throw new Error(`Scrub hook ${scrubPath} must export a function (table, row) => row`);
+  }
+  return hook;
+}
+
+/**
+ * Reads the columns a table's rows are paged by
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {Object} source - Source database from resolveCloneSource
+ * @param {Object} table - Table { name, sql } from sqlite_master
+ * @returns {Promise<string[]|null>} Primary key columns of a WITHOUT ROWID table, or null to page by rowid
+ */
+async function pageKeyColumns(provider, source, table) {
+  if (!/\bWITHOUT\s+ROWID\b/i.test(table.sql || '')) return null;
+
+  const columns = await provider.queryD1(source, `PRAGMA table_info(${quoteIdentifier(table.name)})`);
+  return columns.filter(c => c.pk > 0).sort((a, b) => a.pk - b.pk).map(c => c.name);
+}
+
+/**
+ * Orders tables so the tables a foreign key points at come before the tables pointing at them
+ * Each chunk is checked for foreign keys on its own, so a child row can't
+ * wait for a parent row in a later chunk. Tables in a cycle keep their order.
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {Object} source - Source database from resolveCloneSource
+ * @param {Array<Object>} tables - Tables { name, sql } from sqlite_master
+ * @returns {Promise<Array<Object>>} Tables, parents first
+ */
+async function orderByForeignKeys(provider, source, tables) {
+  const parents = new Map();
+  for (const table of tables) {
+    const keys = await provider.queryD1(source, `PRAGMA foreign_key_list(${quoteIdentifier(table.name)})`);
+    parents.set(table.name, tables.filter(t => t.name !== table.name && keys.some(k => k.table === t.name)));
+  }
+
+  const ordered = [];
+  const visiting = new Set();
+  const visit = (table) => {
+    if (ordered.includes(table) || visiting.has(table)) return;
+    visiting.add(table);
+    parents.get(table.name).forEach(visit);
+    ordered.push(table);
+  };
+  tables.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Reads a table's rows page by page, in key order
+ * Each page starts after the last key of the one before, so pages stay stable
+ * and every query is an index range scan.
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {Object} source - Source database from resolveCloneSource
+ * @param {Object} table - Table { name, sql } from sqlite_master
+ * @returns {AsyncGenerator<Object>} Rows
+ */
+async function* readRows(provider, source, table) {
+  const keys = await pageKeyColumns(provider, source, table);
+  const keyExprs = keys ? keys.map(quoteIdentifier) : ['rowid'];
+  const cursorColumns = keys || [ROWID_COLUMN];
+  const select = keys ? '*' : `rowid AS ${quoteIdentifier(ROWID_COLUMN)}, *`;
+
+  let last = null;
+  for (;;) {
+    const after = last
+      ? `WHERE (${keyExprs.join(', ')}) > (${cursorColumns.map(column => sqlLiteral(last[column])).join(', ')}) `
+      : '';
+    const rows = await provider.queryD1(
+      source,
+      `SELECT ${select} FROM ${quoteIdentifier(table.name)} ${after}ORDER BY ${keyExprs.join(', ')} LIMIT ${PAGE_SIZE}`
+    );
+
+    for (const row of rows) {
+      if (keys) {
+        yield row;
+      } else {
+        const { [ROWID_COLUMN]: _rowid, ...columns } = row;
+        yield columns;
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) return;
+    last = rows[rows.length - 1];
+  }
+}
+
+/**
+ * Builds the SQL that fills a branch database with data from the source
+ * The SQL comes as scripts of about CHUNK_BYTES, so only one is held in
+ * memory; run each with wrangler d1 execute before asking for the next.
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {Object} source - Source database from resolveCloneSource
+ * @param {Object} clone - Clone settings from getCloneSettings
+ * @param {Object} options - Options
+ * @param {boolean} options.includeSchema - Also create the tables (when there are no migrations to do it)
+ * @returns {AsyncGenerator<string>} SQL scripts, in the order they must run
+ */
+async function* buildCloneSql(provider, source, clone, { includeSchema }) {
+  if (source.bookmark) {
+    console.log(`  Restoring ${source.name} to bookmark ${source.bookmark}`);
+    await provider.restoreD1Bookmark(source, source.bookmark);
+  }
+
+  const scrub = clone.scrub ? loadScrubber(clone.scrub) : null;
+  const include = clone.include_tables || null;
+  const exclude = clone.exclude_tables || [];
+
+  const allTables = await provider.queryD1(
+    source,
+    `SELECT name, sql FROM sqlite_master WHERE type = 'table' AND ${INTERNAL_TABLES} ORDER BY name`
+  );
+  for (const name of (include || []).filter(name => !allTables.some(t => t.name === name))) {
+    console.warn(`  Warning: Table ${name} not found in ${source.name}, skipping`);
+  }
+  const tables = await orderByForeignKeys(
+    provider,
+    source,
+    allTables.filter(t => (!include || include.includes(t.name)) && !exclude.includes(t.name))
+  );
+
+  // Foreign keys are checked at the end of each script, so rows within one can come in any order
+  const header = 'PRAGMA defer_foreign_keys = true;';
+  let statements = [header];
+  let bytes = 0;
+  const add = (statement) => {
+    statements.push(statement);
+    bytes += statement.length + 1;
+  };
+  const flush = () => {
+    const sql = `${statements.join('\n')}\n`;
+    statements = [header];
+    bytes = 0;
+    return sql;
+  };
+
+  if (includeSchema) {
+    const tableNames = tables.map(t => sqlLiteral(t.name)).join(', ');
+    const extras = tables.length === 0 ? [] : await provider.queryD1(
+      source,
+      `SELECT sql FROM sqlite_master WHERE type IN ('index', 'trigger') AND sql IS NOT NULL AND tbl_name IN (${tableNames})`
+    );
+    tables.forEach(t => add(`${t.sql};`));
+    extras.forEach(e => add(`${e.sql};`));
+  }
+
+  for (const table of tables) {
+    let copied = 0;
+    let dropped = 0;
+
+    for await (const original of readRows(provider, source, table)) {
+      const row = scrub ? await scrub(table.name, { ...original }) : original;
+      if (!row) {
+        dropped++;
+        continue;
+      }
+      const columns = Object.keys(row);
+      add(
+        `INSERT INTO ${quoteIdentifier(table.name)} (${columns.map(quoteIdentifier).join(', ')}) ` +
+        `VALUES (${columns.map(column => sqlLiteral(row[column])).join(', ')});`
+      );
+      copied++;
+
+      if (bytes >= CHUNK_BYTES) {
+        yield flush();
+      }
+    }
+
+    console.log(`    ${table.name}: ${copied} row(s)${dropped > 0 ? `, ${dropped} dropped by scrub hook` : ''}`);
+  }
+
+  if (statements.length > 1) {
+    yield flush();
+  }
+}
+
+module.exports = {
+  getCloneSettings,
+  resolveCloneSource,
+  buildCloneSql
+};
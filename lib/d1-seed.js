@@ -0,0 +1,183 @@
+/**
+ * Seed files for branch D1 databases, and the marker recording that a database was seeded
+ * Seeds run once per database. A new database gets a pending marker row
+ * before anything runs in it; once the seeds succeed the row records a hash of
+ * the seed files, so later builds skip them, or run them again when the files
+ * changed and reseed_on_change is set. A database whose first build failed
+ * still has the pending row, so the next build seeds it:
+ *   [branch_wrangler]
+ *   reseed_on_change = true          # all D1 bindings
+ *   [branch_wrangler.bindings.DB]
+ *   reseed_on_change = false         # per binding, overrides the above
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Marker table in each seeded branch database (D1 reserves the _cf_ prefix)
+const MARKER_TABLE = 'branch_wrangler_seed';
+
+/**
+ * Lists a directory's .sql files in lexical order
+ * @param {string} dir - Directory path
+ * @returns {string[]} File paths
+ */
+function sqlFilesIn(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+/**
+ * Finds the seed files for a D1 binding, in the order they run
+ * The first of these that applies is used:
+ *   1. the binding's seed setting: a file or directory, or a list of them
+ *   2. seeds/<BINDING>.sql
+ *   3. seeds/<BINDING>/*.sql
+ *   4. seed.sql
+ * Directories contribute their .sql files in lexical order.
+ * @param {Object} binding - D1 binding configuration
+ * @param {Object} settings - cf-branch-wrangler settings (see branch-config.js)
+ * @returns {string[]} Absolute seed file paths (empty if there are none)
+ * @throws {Error} If a configured seed file or directory doesn't exist
+ */
+function resolveSeedFiles(binding, settings) {
+  const cwd = process.cwd();
+  const bindingSettings = (settings.bindings || {})[binding.binding];
+  const configured = bindingSettings && bindingSettings.seed;
+
+  if (configured) {
+    const entries = Array.isArray(configured) ? configured : [configured];
+    return entries.flatMap((entry) => {
+      const entryPath = path.resolve(cwd, entry);
+      if (!fs.existsSync(entryPath)) {
+        throw new Error(`Seed ${entry} for binding ${binding.binding} not found`);
+      }
+      return fs.statSync(entryPath).isDirectory() ? sqlFilesIn(entryPath) : [entryPath];
+    });
+  }
+
+  const bindingFile = path.join(cwd, 'seeds', `${binding.binding}.sql`);
+  if (fs.existsSync(bindingFile)) return [bindingFile];
+
+  const bindingDir = path.join(cwd, 'seeds', binding.binding);
+  if (fs.existsSync(bindingDir) && fs.statSync(bindingDir).isDirectory()) return sqlFilesIn(bindingDir);
+
+  const seedFile = path.join(cwd, 'seed.sql');
+  return fs.existsSync(seedFile) ? [seedFile] : [];
+}
+
+/**
+ * Reads the reseed_on_change setting of a D1 binding
+ * @param {Object} settings - cf-branch-wrangler settings (see branch-config.js)
+ * @param {Object} binding - D1 binding configuration
+ * @returns {boolean} Whether changed seed files run again on existing databases
+ * @throws {Error} If the setting isn't a boolean
+ */
+function reseedOnChange(settings, binding) {
+  const bindingSettings = (settings.bindings || {})[binding.binding];
+  const value = bindingSettings && bindingSettings.reseed_on_change !== undefined
+    ? bindingSettings.reseed_on_change
+    : settings.reseed_on_change;
+  if (value !== undefined && typeof value !== 'boolean') {
+    throw new Error(`reseed_on_change for binding ${binding.binding} must be true or false`);
+  }
+  return value === true;
+}
+
+/**
+ * Hashes the names and contents of seed files, in order
+ * @param {string[]} files - Seed file paths
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSeedFiles(files) {
+  const hash = crypto.createHash('sha256');
+  for (const file of files) {
+    hash.update(`${path.relative(process.cwd(), file)}\0`);
+    hash.update(fs.readFileSync(file));
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Quotes a string as an SQL literal
+ * @param {string} value - Value
+ * @returns {string} Literal
+ */
+function quote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Creates the marker table if it doesn't exist yet
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {Object} db - Database { id, name }
+ */
+async function createMarkerTable(provider, db) {
+  await provider.queryD1(
+    db,
+    `CREATE TABLE IF NOT EXISTS ${MARKER_TABLE} (id INTEGER PRIMARY KEY CHECK (id = 1), ` +
+    "state TEXT NOT NULL CHECK (state IN ('seeding', 'seeded')), hash TEXT, files TEXT, seeded_at TEXT)"
+  );
+}
+
+/**
+ * Reads the seed marker of a database
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {Object} db - Database { id, name }
+ * @returns {Promise<Object|null>} Marker { state, hash, files, seeded_at }, state being 'seeding' until
+ *   the seeds succeed (hash null), or null if the database has no marker
+ */
+async function readSeedMarker(provider, db) {
+  const tables = await provider.queryD1(
+    db,
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ${quote(MARKER_TABLE)}`
+  );
+  if (tables.length === 0) return null;
+
+  const rows = await provider.queryD1(db, `SELECT state, hash, files, seeded_at FROM ${MARKER_TABLE} WHERE id = 1`);
+  return rows[0] || null;
+}
+
+/**
+ * Records that a new database is yet to be seeded
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {Object} db - Database { id, name }
+ */
+async function recordPendingSeedMarker(provider, db) {
+  await createMarkerTable(provider, db);
+  await provider.queryD1(
+    db,
+    `INSERT OR REPLACE INTO ${MARKER_TABLE} (id, state, hash, files, seeded_at) VALUES (1, 'seeding', NULL, NULL, NULL)`
+  );
+}
+
+/**
+ * Records that a database was seeded with the given files
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {Object} db - Database { id, name }
+ * @param {string[]} files - Seed file paths that ran
+ * @param {string} hash - Hash of the files from hashSeedFiles
+ */
+async function recordSeedMarker(provider, db, files, hash) {
+  const names = files.map(file => path.relative(process.cwd(), file)).join(', ');
+  await createMarkerTable(provider, db);
+  await provider.queryD1(
+    db,
+    `INSERT OR REPLACE INTO ${MARKER_TABLE} (id, state, hash, files, seeded_at) ` +
+    `VALUES (1, 'seeded', ${quote(hash)}, ${quote(names)}, ${quote(new Date().toISOString())})`
+  );
+}
+
+module.exports = {
+  MARKER_TABLE,
+  resolveSeedFiles,
+  reseedOnChange,
+  hashSeedFiles,
+  readSeedMarker,
+  recordPendingSeedMarker,
+  recordSeedMarker
+};
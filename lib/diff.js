@@ -0,0 +1,85 @@
+/**
+ * Minimal line diff for printing config changes
+ */
+
+/**
+ * Computes a line-based diff between two texts using the longest common subsequence
+ * @param {string} before - Original text
+ * @param {string} after - Updated text
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>} Diff entries in order
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const entries = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      entries.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      entries.push({ type: '-', line: a[i++] });
+    } else {
+      entries.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) entries.push({ type: '-', line: a[i++] });
+  while (j < b.length) entries.push({ type: '+', line: b[j++] });
+
+  return entries;
+}
+
+/**
+ * Formats a diff between two texts, showing changed lines with surrounding context
+ * @param {string} before - Original text
+ * @param {string} after - Updated text
+ * @param {number} [context=2] - Unchanged lines to show around each change
+ * @returns {string} Formatted diff, or an empty string if the texts are identical
+ */
+function formatDiff(before, after, context = 2) {
+  const entries = diffLines(before, after);
+  const changed = entries.map(e => e.type !== ' ');
+  if (!changed.includes(true)) return '';
+
+  const lines = [];
+  let skipped = false;
+  for (let k = 0; k < entries.length; k++) {
+    let near = false;
+    for (let d = Math.max(0, k - context); d <= Math.min(entries.length - 1, k + context); d++) {
+      if (changed[d]) {
+        near = true;
+        break;
+      }
+    }
+
+    if (!near) {
+      skipped = true;
+      continue;
+    }
+    if (skipped) {
+      lines.push('  ...');
+      skipped = false;
+    }
+    lines.push(`${entries[k].type} ${entries[k].line}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  formatDiff
+};
@@ -0,0 +1,41 @@
+/**
+ * Duration parsing and formatting for age-based cleanup
+ */
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parses a duration such as "14d", "12h", "2w" or "90m"
+ * @param {string} value - Duration string (a number followed by s, m, h, d or w)
+ * @returns {number} Duration in milliseconds
+ * @throws {Error} If the duration cannot be parsed
+ */
+function parseDuration(value) {
+  const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw])$/i);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}". Expected a number followed by s, m, h, d or w (e.g. 14d)`);
+  }
+  return Math.round(parseFloat(match[1]) * UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Formats a duration for display, in days when at least a day, otherwise hours or minutes
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Human-readable duration such as "20d" or "5h"
+ */
+function formatDuration(ms) {
+  if (ms >= UNITS.d) return `${Math.floor(ms / UNITS.d)}d`;
+  if (ms >= UNITS.h) return `${Math.floor(ms / UNITS.h)}h`;
+  return `${Math.floor(ms / UNITS.m)}m`;
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration
+};
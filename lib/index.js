@@ -2,20 +2,92 @@
  * Main orchestration logic for cf-branch-wrangler
  */
 
+const fs = require('fs');
 const { getEnv } = require('./config.js');
-const { parseWranglerConfig, extractBindings, rewriteConfigBindings } = require('./toml-parser.js');
-const { isProductionBranch, getBranchSuffix } = require('./branch-sanitizer.js');
+const { parseWranglerConfig, extractBindings, renderConfigBindings, rewriteConfigBindings } = require('./toml-parser.js');
+const { isProductionBranch } = require('./branch-sanitizer.js');
+const { createNaming } = require('./naming.js');
+const { loadBranchConfig } = require('./branch-config.js');
+const { getBindingPolicies, partitionBindings, resolveSharedBindings } = require('./policy.js');
 const { provisionAll } = require('./provisioner.js');
-const { fetchAccountId, patchPreviewBindings } = require('./api-client.js');
+const { selectWorkerBindings, resolveWorkerBindings } = require('./workers.js');
+const { createProvider } = require('./provider.js');
+const { fetchAccountId, preparePreviewUpdate, patchPreviewBindings } = require('./api-client.js');
+const { withPendingIds, buildPlan, printPlan } = require('./plan.js');
+const { buildManagedBindings } = require('./preview-config.js');
+const { createStorage } = require('./storage.js');
+const { acquirePreviewLock, releasePreviewLock, getPreviewOwner, recordPreviewOwner } = require('./lock.js');
+const { createStateRegistry, toStateResource, toStateResources } = require('./state.js');
+
+/**
+ * Maps binding names onto provisioned resources for the Pages API payload
+ * @param {Object} bindings - Bindings extracted from the wrangler config
+ * @param {Object} provisioned - Provisioned resources with d1, r2, kv, queues, vectorize, hyperdrive arrays
+ * @returns {Object} Provisioned resources annotated with their binding names
+ */
+function toApiBindings(bindings, provisioned) {
+  return {
+    d1: bindings.d1.map((b, i) => ({ ...provisioned.d1[i], binding: b.binding })),
+    r2: bindings.r2.map((b, i) => ({ ...provisioned.r2[i], binding: b.binding })),
+    kv: bindings.kv.map((b, i) => ({ ...provisioned.kv[i], binding: b.binding })),
+    queues: bindings.queues.map((b, i) => ({ ...provisioned.queues[i], binding: b.binding })),
+    vectorize: bindings.vectorize.map((b, i) => ({ ...provisioned.vectorize[i], binding: b.binding })),
+    hyperdrive: bindings.hyperdrive.map((b, i) => ({ ...provisioned.hyperdrive[i], binding: b.binding }))
+  };
+}
+
+/**
+ * Maps binding names onto resolved Workers for the Pages API payload
+ * @param {Object} bindings - Service and Durable Object bindings branch Workers apply to
+ * @param {Object} workers - Resolved Workers with services and durableObjects arrays (see workers.js)
+ * @returns {Object} Resolved Workers annotated with their binding names
+ */
+function toApiWorkerBindings(bindings, workers) {
+  return {
+    services: bindings.services.map((b, i) => ({ ...workers.services[i], binding: b.binding })),
+    durableObjects: bindings.durableObjects.map((b, i) => ({ ...workers.durableObjects[i], binding: b.binding }))
+  };
+}
+
+/**
+ * Adds shared resources and resolved Workers to the bindings for the Pages API payload
+ * @param {Object} apiBindings - Provisioned resources annotated with their binding names
+ * @param {Object} shared - Shared resources annotated with their binding names (see policy.js)
+ * @param {Object} workers - Resolved Workers annotated with their binding names
+ * @returns {Object} Combined bindings with d1, r2, kv, queues, vectorize, hyperdrive, services, durableObjects arrays
+ */
+function withSharedBindings(apiBindings, shared, workers) {
+  return {
+    ...workers,
+    d1: [...apiBindings.d1, ...shared.d1],
+    r2: [...apiBindings.r2, ...shared.r2],
+    kv: [...apiBindings.kv, ...shared.kv],
+    queues: [...apiBindings.queues, ...shared.queues],
+    vectorize: [...apiBindings.vectorize, ...shared.vectorize],
+    hyperdrive: [...apiBindings.hyperdrive, ...shared.hyperdrive]
+  };
+}
 
 /**
  * Main entry point for the CLI tool
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.dryRun] - Discover read-only and print a plan instead of making changes
+ * @param {boolean} [options.json] - Print the dry-run plan as JSON on stdout
+ * @param {string} [options.env] - Wrangler environment (overrides CF_BRANCH_WRANGLER_ENV)
+ * @returns {Promise<Object|undefined>} The plan when running as a dry run
  */
-async function main() {
-  console.log('cf-branch-wrangler: Starting infrastructure provisioning');
+async function main(options = {}) {
+  const { dryRun = false, json = false } = options;
+
+  console.log(dryRun
+    ? 'cf-branch-wrangler: Planning infrastructure provisioning (dry run)'
+    : 'cf-branch-wrangler: Starting infrastructure provisioning');
 
   // 1. Validate environment variables
   const config = getEnv();
+  if (options.env) {
+    config.environment = options.env;
+  }
 
   // 2. Parse wrangler config for bindings and derive project name if needed
   console.log('Parsing wrangler config');
@@ -37,11 +109,32 @@ async function main() {
   console.log(`  Branch: ${config.branch}`);
   console.log(`  Production branch: ${config.productionBranch}`);
   console.log(`  Project: ${config.projectName}`);
+  if (config.environment) {
+    console.log(`  Environment: ${config.environment}`);
+  }
 
-  const bindings = extractBindings(wranglerConfig);
+  const bindings = extractBindings(wranglerConfig, config.environment);
   console.log(`  Found ${bindings.d1.length} D1 bindings`);
   console.log(`  Found ${bindings.r2.length} R2 bindings`);
   console.log(`  Found ${bindings.kv.length} KV bindings`);
+  console.log(`  Found ${bindings.queues.length} queue producer bindings`);
+  console.log(`  Found ${bindings.vectorize.length} Vectorize bindings`);
+  console.log(`  Found ${bindings.hyperdrive.length} Hyperdrive bindings`);
+  console.log(`  Found ${bindings.services.length} service bindings`);
+  console.log(`  Found ${bindings.durableObjects.length} Durable Object bindings`);
+
+  // Per-binding policies decide which bindings get branch copies
+  const { settings, source: settingsSource } = loadBranchConfig(wranglerConfig);
+  if (settingsSource) {
+    console.log(`  Using cf-branch-wrangler settings from ${settingsSource}`);
+  }
+  const policies = getBindingPolicies(settings, bindings);
+  const { isolate: branchBindings, share: sharedBindings } = partitionBindings(bindings, policies);
+  for (const [name, policy] of policies) {
+    if (policy !== 'isolate') {
+      console.log(`  Binding ${name}: ${policy}`);
+    }
+  }
 
   // 3. Check if this is the production branch
   if (isProductionBranch(config.branch, config.productionBranch)) {
@@ -50,44 +143,153 @@ async function main() {
     process.exit(0);
   }
 
-  // 4. Generate branch suffix
-  const suffix = getBranchSuffix(config.branch, config.productionBranch);
-  console.log(`Branch suffix: "${suffix}"`);
+  // 4. Set up branch resource naming
+  const naming = createNaming(config.branch, { template: config.nameTemplate });
+  console.log(`Branch key: "${naming.key}"`);
 
-  if (!suffix) {
-    console.warn('Warning: Empty branch suffix generated, skipping provisioning');
+  if (!naming.key) {
+    console.warn('Warning: Empty branch key generated, skipping provisioning');
     process.exit(0);
   }
 
-  // 5. Provision all resources (D1, R2, KV)
-  console.log('Provisioning branch-specific resources');
-  const provisioned = provisionAll(bindings, suffix, configFormat);
-
-  // 6. Rewrite wrangler config with branch-specific bindings
-  // This is critical - Pages reads bindings from the config file during build
-  rewriteConfigBindings(provisioned, bindings, configFormat, configPath);
-
-  // Map binding names to provisioned resources for the API call
-  const apiBindings = {
-    d1: bindings.d1.map((b, i) => ({ ...provisioned.d1[i], binding: b.binding })),
-    r2: bindings.r2.map((b, i) => ({ ...provisioned.r2[i], binding: b.binding })),
-    kv: bindings.kv.map((b, i) => ({ ...provisioned.kv[i], binding: b.binding }))
-  };
+  // 5. Provision all resources (D1, R2, KV, Queues, Vectorize, Hyperdrive)
+  // The REST provider derives the account ID if it isn't set
+  const provider = await createProvider(config);
 
-  // 7. Derive account ID if not set, then patch Pages Project preview bindings
+  // Derive account ID if not set (the wrangler backend doesn't need one)
   if (!config.accountId) {
     console.log('Deriving account ID from API token');
     config.accountId = await fetchAccountId(config.apiToken);
     console.log(`  Account ID: ${config.accountId}`);
   }
 
-  await patchPreviewBindings(
-    config.accountId,
-    config.projectName,
-    config.apiToken,
-    apiBindings
+  // Record what this branch owns so cleanup can delete exactly that
+  // New resources are recorded as they are created, so a failed build doesn't leave them unrecorded
+  const registry = config.state && !dryRun
+    ? createStateRegistry(createStorage(config.state, config), config.projectName)
+    : null;
+  const onCreated = registry
+    ? (type, binding, resource) => registry.recordProvisioned({
+      branch: config.branch,
+      resources: [toStateResource(type, binding, resource)]
+    })
+    : undefined;
+
+  console.log('Provisioning branch-specific resources');
+  const provisioned = await provisionAll(branchBindings, naming, configFormat, { provider, settings, dryRun, onCreated });
+  const shared = await resolveSharedBindings(sharedBindings, provider);
+
+  // Point service and Durable Object bindings at branch Workers where they exist
+  const workerBindings = selectWorkerBindings(settings, bindings);
+  const workers = await resolveWorkerBindings(workerBindings, naming, provider);
+  const apiWorkers = toApiWorkerBindings(workerBindings, workers);
+
+  // Storage for the preview binding lock and ownership record, if configured
+  const lockStorage = config.lock ? createStorage(config.lock, config) : null;
+
+  if (dryRun) {
+    // Render the config and payload in memory only - nothing is written or sent
+    const planned = withPendingIds(provisioned);
+    const configBefore = fs.readFileSync(configPath, 'utf-8');
+    const preview = await preparePreviewUpdate(
+      config.accountId,
+      config.projectName,
+      config.apiToken,
+      withSharedBindings(toApiBindings(branchBindings, planned), shared, apiWorkers)
+    );
+    const plan = buildPlan({
+      config,
+      key: naming.key,
+      bindings: branchBindings,
+      provisioned,
+      shared,
+      configPath,
+      configBefore,
+      configAfter: renderConfigBindings(
+        { ...planned, ...workers },
+        { ...branchBindings, ...workerBindings },
+        configFormat,
+        configBefore,
+        config.environment
+      ),
+      previewBefore: preview.before,
+      previewAfter: preview.after,
+      previewOwner: lockStorage ? await getPreviewOwner(lockStorage, config.projectName) : null
+    });
+
+    if (json) {
+      process.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+    } else {
+      printPlan(plan);
+    }
+    return plan;
+  }
+
+  // Refresh the record with every resource, reused ones included
+  if (registry) {
+    await registry.recordProvisioned({
+      branch: config.branch,
+      resources: toStateResources(branchBindings, provisioned)
+    });
+    console.log(`Recorded provisioned resources in ${registry.description}`);
+  }
+
+  // 6. Rewrite wrangler config with branch-specific bindings
+  // This is critical - Pages reads bindings from the config file during build
+  // Shared and skipped bindings keep their entries as they are
+  rewriteConfigBindings(
+    { ...provisioned, ...workers },
+    { ...branchBindings, ...workerBindings },
+    configFormat,
+    configPath,
+    config.environment
   );
 
+  // Map binding names to provisioned and shared resources and resolved Workers for the API call
+  const apiBindings = withSharedBindings(toApiBindings(branchBindings, provisioned), shared, apiWorkers);
+
+  // 7. Take the preview binding lock, then patch Pages Project preview bindings
+  // Pages has one preview binding set per project, so concurrent branch builds must take turns
+  let lease = null;
+  if (lockStorage) {
+    lease = await acquirePreviewLock(lockStorage, {
+      projectName: config.projectName,
+      branch: config.branch,
+      ttl: config.lockTtl,
+      wait: config.lockWait
+    });
+
+    const previousOwner = await getPreviewOwner(lockStorage, config.projectName);
+    if (previousOwner && previousOwner.branch !== config.branch) {
+      console.log(`  Preview bindings last owned by branch "${previousOwner.branch}" (${previousOwner.updated_at})`);
+    }
+  }
+
+  // The lease is kept after a successful patch; a failed one must not block other branches until it expires
+  try {
+    await patchPreviewBindings(
+      config.accountId,
+      config.projectName,
+      config.apiToken,
+      apiBindings
+    );
+  } catch (error) {
+    if (lease) {
+      await releasePreviewLock(lockStorage, config.projectName, lease);
+      console.log('  Released preview binding lock');
+    }
+    throw error;
+  }
+
+  if (lockStorage) {
+    await recordPreviewOwner(lockStorage, config.projectName, {
+      branch: config.branch,
+      key: naming.key,
+      bindings: buildManagedBindings(apiBindings)
+    });
+    console.log(`  Recorded branch "${config.branch}" as preview binding owner`);
+  }
+
   console.log('cf-branch-wrangler: Complete');
 }
 
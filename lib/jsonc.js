@@ -0,0 +1,212 @@
+/**
+ * JSONC (JSON with comments and trailing commas) tokenizer and parser
+ * The tree form keeps source positions so values can be edited in place.
+ */
+
+/**
+ * Returns "line X, column Y" for an offset, for error messages
+ * @param {string} text - Source text
+ * @param {number} offset - Character offset
+ * @returns {string} Human-readable position
+ */
+function positionOf(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  const column = offset - before.lastIndexOf('\n');
+  return `line ${line}, column ${column}`;
+}
+
+/**
+ * Splits JSONC into tokens
+ * Token types: whitespace, comment, string, punct ({ } [ ] : ,), literal (numbers, true, false, null)
+ * @param {string} text - JSONC content
+ * @returns {Array<{type: string, start: number, end: number}>} Tokens covering the whole text
+ * @throws {Error} On unterminated strings or comments
+ */
+function tokenizeJsonc(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const start = i;
+    const ch = text[i];
+    let type;
+
+    if (/\s/.test(ch)) {
+      while (i < text.length && /\s/.test(text[i])) i++;
+      type = 'whitespace';
+    } else if (ch === '/' && text[i + 1] === '/') {
+      const newline = text.indexOf('\n', i);
+      i = newline === -1 ? text.length : newline;
+      type = 'comment';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const close = text.indexOf('*/', i + 2);
+      if (close === -1) {
+        throw new Error(`Unterminated comment at ${positionOf(text, start)}`);
+      }
+      i = close + 2;
+      type = 'comment';
+    } else if (ch === '"') {
+      i++;
+      while (i < text.length && text[i] !== '"' && text[i] !== '\n') {
+        i += text[i] === '\\' ? 2 : 1;
+      }
+      if (text[i] !== '"') {
+        throw new Error(`Unterminated string at ${positionOf(text, start)}`);
+      }
+      i++;
+      type = 'string';
+    } else if ('{}[]:,'.includes(ch)) {
+      i++;
+      type = 'punct';
+    } else {
+      do {
+        i++;
+      } while (i < text.length && !/[\s{}[\]:,"/]/.test(text[i]));
+      type = 'literal';
+    }
+
+    tokens.push({ type, start, end: i });
+  }
+
+  return tokens;
+}
+
+/**
+ * Strips comments and trailing commas, leaving strings untouched
+ * @param {string} text - JSONC content
+ * @returns {string} Plain JSON string
+ */
+function stripJsonc(text) {
+  const tokens = tokenizeJsonc(text);
+  let result = '';
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'comment') {
+      // Keep tokens on either side of a block comment apart
+      result += ' ';
+      return;
+    }
+
+    if (text[token.start] === ',' && token.type === 'punct') {
+      const next = tokens.slice(index + 1).find(t => t.type !== 'whitespace' && t.type !== 'comment');
+      if (next && (text[next.start] === '}' || text[next.start] === ']')) return;
+    }
+
+    result += text.slice(token.start, token.end);
+  });
+
+  return result;
+}
+
+/**
+ * Parses JSONC content
+ * @param {string} text - JSONC content
+ * @returns {*} Parsed value
+ */
+function parseJsonc(text) {
+  return JSON.parse(stripJsonc(text));
+}
+
+/**
+ * Returns the indentation of the line an offset is on, if only whitespace precedes it
+ * @param {string} text - Source text
+ * @param {number} offset - Character offset
+ * @returns {string|null} Leading whitespace, or null if other content precedes the offset
+ */
+function lineIndent(text, offset) {
+  const prefix = text.slice(text.lastIndexOf('\n', offset - 1) + 1, offset);
+  return /^[ \t]*$/.test(prefix) ? prefix : null;
+}
+
+/**
+ * Parses JSONC into a tree of nodes with source positions
+ * Nodes:
+ *   { type: 'object', start, end, props: Map<key, node>, insertPos, indent, multiline }
+ *   { type: 'array', start, end, items: [node] }
+ *   { type: 'value', start, end }
+ * insertPos is where a new property goes: after the last property's value, or after "{".
+ * @param {string} text - JSONC content
+ * @returns {Object} Root node
+ * @throws {Error} On syntax errors
+ */
+function parseJsoncTree(text) {
+  const tokens = tokenizeJsonc(text).filter(t => t.type !== 'whitespace' && t.type !== 'comment');
+  let pos = 0;
+
+  const fail = (token, message) => {
+    throw new Error(`Invalid JSONC at ${positionOf(text, token ? token.start : text.length)}: ${message}`);
+  };
+  const peekChar = () => (tokens[pos] ? text[tokens[pos].start] : undefined);
+  const expect = (char) => {
+    const token = tokens[pos];
+    if (!token || token.type !== 'punct' || text[token.start] !== char) {
+      fail(token, `expected "${char}"`);
+    }
+    pos++;
+    return token;
+  };
+
+  function parseValue() {
+    const token = tokens[pos];
+    if (!token) fail(token, 'unexpected end of input');
+
+    if (token.type === 'punct' && text[token.start] === '{') return parseObject();
+    if (token.type === 'punct' && text[token.start] === '[') return parseArray();
+    if (token.type === 'string' || token.type === 'literal') {
+      pos++;
+      return { type: 'value', start: token.start, end: token.end };
+    }
+    return fail(token, 'unexpected token');
+  }
+
+  function parseObject() {
+    const open = expect('{');
+    const node = { type: 'object', start: open.start, props: new Map(), insertPos: open.end, indent: null };
+
+    while (peekChar() !== '}') {
+      const keyToken = tokens[pos];
+      if (!keyToken || keyToken.type !== 'string') fail(keyToken, 'expected a property name');
+      pos++;
+      expect(':');
+      const value = parseValue();
+
+      node.props.set(JSON.parse(text.slice(keyToken.start, keyToken.end)), value);
+      node.insertPos = value.end;
+      node.indent = lineIndent(text, keyToken.start);
+
+      if (peekChar() === ',') pos++;
+      else break;
+    }
+
+    node.end = expect('}').end;
+    node.multiline = text.slice(node.start, node.end).includes('\n');
+    return node;
+  }
+
+  function parseArray() {
+    const open = expect('[');
+    const node = { type: 'array', start: open.start, items: [] };
+
+    while (peekChar() !== ']') {
+      node.items.push(parseValue());
+      if (peekChar() === ',') pos++;
+      else break;
+    }
+
+    node.end = expect(']').end;
+    return node;
+  }
+
+  const root = parseValue();
+  if (pos < tokens.length) fail(tokens[pos], 'unexpected content after the top-level value');
+  return root;
+}
+
+module.exports = {
+  tokenizeJsonc,
+  stripJsonc,
+  parseJsonc,
+  parseJsoncTree,
+  lineIndent
+};
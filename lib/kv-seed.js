@@ -0,0 +1,213 @@
+/**
+ * Seeding new branch KV namespaces
+ * Configured per KV binding in the cf-branch-wrangler settings:
+ *   [branch_wrangler.bindings.FLAGS.seed]
+ *   fixture = "fixtures/flags.json"  # JSON map or entry list, .ndjson entries, or a directory
+ *   expiration_ttl = 86400           # default TTL in seconds for seeded keys
+ *   metadata = { source = "seed" }   # default metadata for seeded keys
+ *   copy_prefix = "config:"          # copy keys with this prefix from the base namespace
+ * Entries use the KV bulk write format: { key, value, expiration, expiration_ttl, metadata, base64 }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SEED_FIELDS = ['fixture', 'expiration_ttl', 'metadata', 'copy_prefix'];
+
+// KV rejects expiration TTLs below 60 seconds
+const KV_MIN_TTL = 60;
+
+/**
+ * Reads and validates the seed settings of a KV binding
+ * @param {Object} settings - cf-branch-wrangler settings (see branch-config.js)
+ * @param {Object} binding - KV binding configuration
+ * @returns {Object|null} Seed settings, or null if the binding isn't seeded
+ * @throws {Error} If the settings are invalid
+ */
+function getKVSeedSettings(settings, binding) {
+  const bindingSettings = (settings.bindings || {})[binding.binding];
+  const seed = bindingSettings && bindingSettings.seed;
+  if (!seed) return null;
+
+  const label = `seed settings of KV binding ${binding.binding}`;
+  if (typeof seed !== 'object' || Array.isArray(seed)) {
+    throw new Error(`The ${label} must be a table with ${SEED_FIELDS.join(', ')}`);
+  }
+  for (const field of Object.keys(seed)) {
+    if (!SEED_FIELDS.includes(field)) {
+      throw new Error(`Unknown field "${field}" in ${label}. Expected: ${SEED_FIELDS.join(', ')}`);
+    }
+  }
+  if (!seed.fixture && !seed.copy_prefix) {
+    throw new Error(`The ${label} need a fixture, a copy_prefix, or both`);
+  }
+  if (seed.fixture && !fs.existsSync(path.resolve(process.cwd(), seed.fixture))) {
+    throw new Error(`Fixture ${seed.fixture} in ${label} not found`);
+  }
+  if (seed.expiration_ttl !== undefined && !(Number.isInteger(seed.expiration_ttl) && seed.expiration_ttl >= KV_MIN_TTL)) {
+    throw new Error(`expiration_ttl in ${label} must be a whole number of seconds, at least ${KV_MIN_TTL}`);
+  }
+  if (seed.metadata !== undefined && (typeof seed.metadata !== 'object' || Array.isArray(seed.metadata))) {
+    throw new Error(`metadata in ${label} must be a table`);
+  }
+  if (seed.copy_prefix !== undefined && typeof seed.copy_prefix !== 'string') {
+    throw new Error(`copy_prefix in ${label} must be a string`);
+  }
+
+  return seed;
+}
+
+/**
+ * Turns a fixture value into a bulk write entry
+ * Strings are stored as they are; other values are stored as JSON.
+ * @param {string} key - Key
+ * @param {*} value - Value from a JSON map
+ * @returns {Object} Entry { key, value }
+ */
+function mapEntry(key, value) {
+  return { key, value: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+/**
+ * Checks a fixture entry given in bulk write format
+ * @param {Object} entry - Entry
+ * @param {string} where - Location for error messages
+ * @returns {Object} Entry with its value as a string
+ * @throws {Error} If the entry has no key or value
+ */
+function checkEntry(entry, where) {
+  if (!entry || typeof entry.key !== 'string' || entry.value === undefined) {
+    throw new Error(`Invalid KV entry at ${where}: expected { "key": ..., "value": ... }`);
+  }
+  return typeof entry.value === 'string' ? entry : { ...entry, value: JSON.stringify(entry.value) };
+}
+
+/**
+ * Lists the files under a directory, recursively, in lexical order
+ * @param {string} dir - Directory path
+ * @returns {string[]} File paths
+ */
+function filesIn(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => (entry.isDirectory()
+      ? filesIn(path.join(dir, entry.name))
+      : [path.join(dir, entry.name)]));
+}
+
+/**
+ * Reads a fixture into bulk write entries
+ *   - directory: one key per file, named by its path below the directory (with / separators)
+ *   - .ndjson / .jsonl: one entry per line
+ *   - .json: a map of key to value, or a list of entries
+ * @param {string} fixture - Fixture path, relative to the working directory
+ * @returns {Array<Object>} Entries
+ * @throws {Error} If the fixture can't be parsed
+ */
+function loadFixture(fixture) {
+  const fixturePath = path.resolve(process.cwd(), fixture);
+
+  if (fs.statSync(fixturePath).isDirectory()) {
+    // File contents are sent base64-encoded so binary files survive
+    return filesIn(fixturePath).map(file => ({
+      key: path.relative(fixturePath, file).split(path.sep).join('/'),
+      value: fs.readFileSync(file).toString('base64'),
+      base64: true
+    }));
+  }
+
+  const content = fs.readFileSync(fixturePath, 'utf-8');
+
+  if (/\.(ndjson|jsonl)$/.test(fixturePath)) {
+    return content
+      .split('\n')
+      .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, number }) => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Invalid JSON in ${fixture} line ${number}: ${error.message}`);
+        }
+        return checkEntry(entry, `${fixture} line ${number}`);
+      });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${fixture}: ${error.message}`);
+  }
+  if (Array.isArray(data)) {
+    return data.map((entry, i) => checkEntry(entry, `${fixture} entry ${i}`));
+  }
+  if (data && typeof data === 'object') {
+    return Object.entries(data).map(([key, value]) => mapEntry(key, value));
+  }
+  throw new Error(`${fixture} must hold a JSON object of keys to values, or a list of entries`);
+}
+
+/**
+ * Reads the keys with a prefix from the base namespace as bulk write entries
+ * Values are copied as text; expirations and metadata are kept.
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {string} namespaceId - Base namespace ID
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<Array<Object>>} Entries
+ */
+async function copyPrefix(provider, namespaceId, prefix) {
+  const keys = await provider.listKVKeys(namespaceId, prefix);
+  const entries = [];
+  for (const key of keys) {
+    const entry = { key: key.name, value: await provider.getKVValue(namespaceId, key.name) };
+    if (key.expiration) entry.expiration = key.expiration;
+    if (key.metadata) entry.metadata = key.metadata;
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Builds the entries to write into a new branch namespace
+ * Copied keys come first, so fixture entries win for keys in both.
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {Object} binding - KV binding configuration (binding.id is the base namespace)
+ * @param {Object} seed - Seed settings from getKVSeedSettings
+ * @returns {Promise<Array<Object>>} Entries, with the default TTL and metadata applied
+ */
+async function buildKVSeedEntries(provider, binding, seed) {
+  const entries = [];
+
+  if (seed.copy_prefix) {
+    const copied = await copyPrefix(provider, binding.id, seed.copy_prefix);
+    console.log(`    ${copied.length} key(s) with prefix "${seed.copy_prefix}" from the base namespace`);
+    entries.push(...copied);
+  }
+
+  if (seed.fixture) {
+    const loaded = loadFixture(seed.fixture).map((entry) => {
+      const withDefaults = { ...entry };
+      if (seed.expiration_ttl && !entry.expiration && !entry.expiration_ttl) {
+        withDefaults.expiration_ttl = seed.expiration_ttl;
+      }
+      if (seed.metadata && entry.metadata === undefined) {
+        withDefaults.metadata = seed.metadata;
+      }
+      return withDefaults;
+    });
+    console.log(`    ${loaded.length} key(s) from ${seed.fixture}`);
+    entries.push(...loaded);
+  }
+
+  // Later entries replace earlier ones with the same key
+  return [...new Map(entries.map(entry => [entry.key, entry])).values()];
+}
+
+module.exports = {
+  getKVSeedSettings,
+  loadFixture,
+  filesIn,
+  buildKVSeedEntries
+};
@@ -0,0 +1,154 @@
+/**
+ * Lease-based lock and ownership record for a project's preview bindings
+ *
+ * Pages has a single preview binding set per project, so a branch takes a
+ * lease before patching it. The lease is kept (not released) when the build
+ * finishes: the deployment picks up the bindings after the build, so the TTL
+ * should cover the remaining build and deploy time.
+ *
+ * Exclusion is best effort only. None of the storage backends offers
+ * compare-and-set, so a lease is taken by writing it, waiting SETTLE_MS and
+ * reading it back. That catches writers racing within the settle window, but
+ * a write delayed past it (or, on KV, a stale read from another location)
+ * can still leave two branches each believing they hold the lease.
+ */
+
+const crypto = require('crypto');
+
+// Delay before reading a freshly written lease back, so a racing writer's value usually lands first
+const SETTLE_MS = 1500;
+const POLL_MS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Storage key of the lease for a project
+ * @param {string} projectName - Pages Project name
+ * @returns {string} Storage key
+ */
+function lockKey(projectName) {
+  return `preview-lock/${projectName}`;
+}
+
+/**
+ * Storage key of the ownership record for a project
+ * @param {string} projectName - Pages Project name
+ * @returns {string} Storage key
+ */
+function ownerKey(projectName) {
+  return `preview-owner/${projectName}`;
+}
+
+/**
+ * Checks whether a lease has expired
+ * @param {Object} lease - Lease record
+ * @returns {boolean} True if the lease no longer applies
+ */
+function isExpired(lease) {
+  return Date.parse(lease.expires_at) <= Date.now();
+}
+
+/**
+ * Acquires the preview binding lease for a branch, waiting while another branch holds it
+ * @param {Object} storage - Storage (see storage.js)
+ * @param {Object} options - Lock options
+ * @param {string} options.projectName - Pages Project name
+ * @param {string} options.branch - Branch taking the lease
+ * @param {number} options.ttl - Lease duration in seconds
+ * @param {number} options.wait - Maximum seconds to wait for another branch's lease (0 fails immediately)
+ * @param {number} [options.pollInterval] - Milliseconds between checks while waiting
+ * @returns {Promise<Object>} The acquired lease
+ * @throws {Error} If another branch still holds the lease when the wait runs out
+ */
+async function acquirePreviewLock(storage, options) {
+  const { projectName, branch, ttl, wait, pollInterval = POLL_MS } = options;
+  const key = lockKey(projectName);
+  const deadline = Date.now() + wait * 1000;
+
+  console.log(`Acquiring preview binding lock for ${projectName} (${storage.description})`);
+
+  for (;;) {
+    const current = await storage.get(key);
+
+    if (!current || isExpired(current) || current.branch === branch) {
+      const lease = {
+        branch,
+        token: crypto.randomUUID(),
+        acquired_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + ttl * 1000).toISOString()
+      };
+      await storage.put(key, lease, { ttl });
+
+      // Read back after a pause - if another branch wrote in between, the last write wins.
+      // Not a guarantee: a writer slower than SETTLE_MS, or a stale KV read, goes unnoticed
+      await sleep(SETTLE_MS);
+      const check = await storage.get(key);
+      if (check && check.token === lease.token) {
+        console.log(`  Lock acquired until ${lease.expires_at}`);
+        return lease;
+      }
+      console.log(`  Lost lock race to branch "${check ? check.branch : 'unknown'}", retrying`);
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(
+        `Preview bindings for ${projectName} are locked by branch "${current.branch}" ` +
+        `until ${current.expires_at}. Retry the build later, or raise CF_BRANCH_WRANGLER_LOCK_WAIT.`
+      );
+    }
+
+    console.log(`  Locked by branch "${current.branch}" until ${current.expires_at}, waiting...`);
+    await sleep(Math.min(pollInterval, deadline - Date.now()));
+  }
+}
+
+/**
+ * Releases a lease if it is still the one stored
+ * Compared by token, not by branch: two runs under the same holder name both
+ * get through acquirePreviewLock, and one mustn't release the other's lease.
+ * @param {Object} storage - Storage (see storage.js)
+ * @param {string} projectName - Pages Project name
+ * @param {Object} lease - Lease returned by acquirePreviewLock
+ * @returns {Promise<boolean>} True if the lease was released
+ */
+async function releasePreviewLock(storage, projectName, lease) {
+  const current = await storage.get(lockKey(projectName));
+  if (!current || current.token !== lease.token) return false;
+
+  await storage.delete(lockKey(projectName));
+  return true;
+}
+
+/**
+ * Returns the record of the branch that last patched the preview bindings
+ * @param {Object} storage - Storage (see storage.js)
+ * @param {string} projectName - Pages Project name
+ * @returns {Promise<Object|null>} Ownership record { branch, key, updated_at, bindings }
+ */
+async function getPreviewOwner(storage, projectName) {
+  return storage.get(ownerKey(projectName));
+}
+
+/**
+ * Records the branch that now owns the preview bindings
+ * @param {Object} storage - Storage (see storage.js)
+ * @param {string} projectName - Pages Project name
+ * @param {Object} record - Ownership details
+ * @param {string} record.branch - Branch name
+ * @param {string} record.key - Branch key (see naming.js)
+ * @param {Object} record.bindings - Managed binding maps that were applied
+ */
+async function recordPreviewOwner(storage, projectName, record) {
+  await storage.put(ownerKey(projectName), {
+    ...record,
+    updated_at: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  acquirePreviewLock,
+  releasePreviewLock,
+  getPreviewOwner,
+  recordPreviewOwner
+};
@@ -0,0 +1,190 @@
+/**
+ * Resource naming for branch deployments
+ *
+ * Names come from a template with {base}, {branch} and {hash} placeholders
+ * (default "{base}-{branch}-{hash}"). {hash} is a short stable hash of the
+ * original branch name, only emitted when sanitizing the branch loses
+ * information or the name had to be truncated to fit the length limit;
+ * otherwise it is dropped along with its separator. Names from before
+ * templates existed ("{base}-{branch}") are still looked up so existing
+ * resources keep resolving.
+ */
+
+const { sanitizeBranchName, hashBranchName, isLossySanitization, HASH_LENGTH } = require('./branch-sanitizer.js');
+
+const DEFAULT_NAME_TEMPLATE = '{base}-{branch}-{hash}';
+
+// Tightest Cloudflare limit across resource types (R2 bucket names)
+const MAX_RESOURCE_NAME_LENGTH = 63;
+
+/**
+ * Validates a naming template
+ * @param {string} template - Naming template
+ * @throws {Error} If {base} or {branch} is missing, or an unknown placeholder is used
+ */
+function validateTemplate(template) {
+  for (const placeholder of ['{base}', '{branch}']) {
+    if (!template.includes(placeholder)) {
+      throw new Error(`Invalid name template "${template}": missing ${placeholder}`);
+    }
+  }
+
+  const unknown = (template.match(/\{[^}]*\}/g) || [])
+    .filter(p => !['{base}', '{branch}', '{hash}'].includes(p));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid name template "${template}": unknown placeholder ${unknown[0]}`);
+  }
+}
+
+/**
+ * Renders a template, dropping {hash} and its separator when no hash is given
+ * @param {string} template - Naming template
+ * @param {string} base - Base resource name
+ * @param {string} branch - Sanitized (possibly truncated) branch name
+ * @param {string} hash - Branch hash, or empty string
+ * @returns {string} Rendered name
+ */
+function render(template, base, branch, hash) {
+  let result = template;
+  if (!hash) {
+    result = /[-_.]\{hash\}/.test(result)
+      ? result.replace(/[-_.]\{hash\}/, '')
+      : result.replace(/\{hash\}[-_.]?/, '');
+  }
+
+  return result
+    .replace('{base}', base)
+    .replace('{hash}', hash)
+    .replace('{branch}', branch);
+}
+
+/**
+ * Returns the identity key of a branch, used for registry and ownership records
+ * Unlike resource names this doesn't depend on the base name, so it's budgeted
+ * against the full length limit.
+ * @param {string} branch - The branch name
+ * @returns {string} Key such as "feature-x-1a2b3c", or empty if the branch sanitizes to nothing
+ */
+function getBranchKey(branch) {
+  const sanitized = sanitizeBranchName(branch);
+  if (!sanitized) return '';
+
+  if (!isLossySanitization(branch)) return sanitized;
+
+  const truncated = sanitized.substring(0, MAX_RESOURCE_NAME_LENGTH - HASH_LENGTH - 1).replace(/-+$/, '');
+  return `${truncated}-${hashBranchName(branch)}`;
+}
+
+/**
+ * Returns the resource name for a branch, budgeting the branch part around the base name
+ * @param {string} baseName - Base resource name from the wrangler config
+ * @param {string} branch - The branch name (unsanitized)
+ * @param {Object} [options] - Naming options
+ * @param {string} [options.template] - Naming template (default DEFAULT_NAME_TEMPLATE)
+ * @param {number} [options.maxLength] - Maximum name length (default MAX_RESOURCE_NAME_LENGTH)
+ * @returns {string} Resource name
+ * @throws {Error} If the base name leaves no room for the branch
+ */
+function resourceName(baseName, branch, options = {}) {
+  const { template = DEFAULT_NAME_TEMPLATE, maxLength = MAX_RESOURCE_NAME_LENGTH } = options;
+  const sanitized = sanitizeBranchName(branch);
+  const hash = hashBranchName(branch);
+  const canHash = template.includes('{hash}');
+
+  let useHash = canHash && isLossySanitization(branch);
+  let budget = maxLength - render(template, baseName, '', useHash ? hash : '').length;
+
+  if (sanitized.length > budget && canHash && !useHash) {
+    // Truncating loses information too, so the hash is needed to keep names distinct
+    useHash = true;
+    budget = maxLength - render(template, baseName, '', hash).length;
+  }
+
+  if (budget < 1) {
+    throw new Error(
+      `Base name "${baseName}" is too long to add a branch within ${maxLength} characters`
+    );
+  }
+
+  const branchPart = sanitized.substring(0, budget).replace(/-+$/, '');
+  return render(template, baseName, branchPart, useHash ? hash : '');
+}
+
+/**
+ * Returns the name the tool used before naming templates existed
+ * @param {string} baseName - Base resource name
+ * @param {string} branch - The branch name (unsanitized)
+ * @returns {string} Legacy resource name ("{base}-{branch}")
+ */
+function legacyResourceName(baseName, branch) {
+  return `${baseName}-${sanitizeBranchName(branch)}`;
+}
+
+// Sanitized branch names: lowercase letters, digits and inner hyphens
+const BRANCH_PART_PATTERN = '[a-z0-9](?:[a-z0-9-]*[a-z0-9])?';
+
+/**
+ * Builds a pattern matching any branch resource name for a base name
+ * The branch part is captured: group 1 for template names, group 2 for legacy names.
+ * @param {string} baseName - Base resource name
+ * @param {string} [template] - Naming template
+ * @returns {RegExp} Pattern matching names produced by the template (and legacy names)
+ */
+function branchNamePattern(baseName, template = DEFAULT_NAME_TEMPLATE) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const hashPattern = `[0-9a-f]{${HASH_LENGTH}}`;
+
+  const source = template
+    .split(/(\{base\}|\{branch\}|[-_.]?\{hash\}[-_.]?)/)
+    .map((part) => {
+      if (part === '{base}') return escape(baseName);
+      if (part === '{branch}') return `(${BRANCH_PART_PATTERN})`;
+      if (part.includes('{hash}')) {
+        return `(?:${escape(part.replace('{hash}', '\u0000')).replace('\u0000', hashPattern)})?`;
+      }
+      return escape(part);
+    })
+    .join('');
+
+  const legacy = `${escape(baseName)}-(${BRANCH_PART_PATTERN})`;
+  return new RegExp(`^(?:${source}|${legacy})$`);
+}
+
+/**
+ * Extracts the branch part of a branch resource name
+ * @param {string} name - Resource name
+ * @param {string} baseName - Base resource name
+ * @param {string} [template] - Naming template
+ * @returns {string|null} Branch part (the sanitized branch, possibly with its hash), or null if the name doesn't match
+ */
+function branchPartOf(name, baseName, template = DEFAULT_NAME_TEMPLATE) {
+  const match = branchNamePattern(baseName, template).exec(name);
+  return match ? (match[1] || match[2]) : null;
+}
+
+/**
+ * Creates a namer for one branch
+ * @param {string} branch - The branch name (unsanitized)
+ * @param {Object} [options] - Naming options (see resourceName)
+ * @returns {Object} Namer with key, nameFor(baseName) and legacyNameFor(baseName)
+ */
+function createNaming(branch, options = {}) {
+  return {
+    branch,
+    key: getBranchKey(branch),
+    nameFor: (baseName) => resourceName(baseName, branch, options),
+    legacyNameFor: (baseName) => legacyResourceName(baseName, branch)
+  };
+}
+
+module.exports = {
+  DEFAULT_NAME_TEMPLATE,
+  MAX_RESOURCE_NAME_LENGTH,
+  validateTemplate,
+  getBranchKey,
+  resourceName,
+  legacyResourceName,
+  branchNamePattern,
+  branchPartOf,
+  createNaming
+};
@@ -0,0 +1,120 @@
+/**
+ * Pages deployments of a branch, for cleanup
+ * Each preview build leaves a deployment behind, and the branch's latest one
+ * carries its alias (<branch>.<project>.pages.dev). Deleting them all with
+ * force=true removes the alias too.
+ */
+
+const { cfRequest } = require('./api-client.js');
+
+// Largest page the deployments list returns
+const PAGE_SIZE = 25;
+
+// Attempts per request while rate limited, and the wait when the API doesn't say how long
+const RATE_LIMIT_RETRIES = 5;
+const RATE_LIMIT_WAIT_MS = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs an API call, waiting and retrying while the API answers 429 Too Many Requests
+ * @param {Function} fn - Function making the call
+ * @returns {Promise<*>} Result of the call
+ * @throws {Error} If the call fails otherwise, or is still rate limited after RATE_LIMIT_RETRIES retries
+ */
+async function withRateLimitRetry(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.status !== 429 || attempt > RATE_LIMIT_RETRIES) throw error;
+
+      const waitMs = error.retryAfter ? error.retryAfter * 1000 : RATE_LIMIT_WAIT_MS * attempt;
+      console.log(`    Rate limited, retrying in ${Math.ceil(waitMs / 1000)}s`);
+      await sleep(waitMs);
+    }
+  }
+}
+
+/**
+ * Reads the branch a deployment was built from
+ * @param {Object} deployment - Deployment from the Pages API
+ * @returns {string|undefined} Branch name
+ */
+function deploymentBranch(deployment) {
+  const trigger = deployment.deployment_trigger;
+  return trigger && trigger.metadata ? trigger.metadata.branch : undefined;
+}
+
+/**
+ * Lists a branch's preview deployments
+ * All pages are read before anything is deleted, as deleting shifts the later pages.
+ * @param {Object} config - Configuration with apiToken, accountId and projectName
+ * @param {string} branch - Branch name
+ * @returns {Promise<Array<Object>>} Deployments { id, url, created_on, aliases }, newest first
+ */
+async function listBranchDeployments(config, branch) {
+  const pathname = `/accounts/${config.accountId}/pages/projects/${config.projectName}/deployments`;
+  const deployments = [];
+
+  for (let page = 1; ; page++) {
+    const data = await withRateLimitRetry(() => cfRequest(config.apiToken, 'GET', pathname, {
+      query: { env: 'preview', page, per_page: PAGE_SIZE }
+    }));
+    const items = data.result || [];
+    for (const deployment of items) {
+      if (deploymentBranch(deployment) !== branch) continue;
+      deployments.push({
+        id: deployment.id,
+        url: deployment.url,
+        created_on: deployment.created_on,
+        aliases: deployment.aliases || []
+      });
+    }
+
+    const info = data.result_info || {};
+    if (items.length < PAGE_SIZE || (info.total_pages !== undefined && page >= info.total_pages)) {
+      break;
+    }
+  }
+
+  return deployments;
+}
+
+/**
+ * Deletes deployments, logging progress
+ * @param {Object} config - Configuration with apiToken, accountId and projectName
+ * @param {Array<Object>} deployments - Deployments from listBranchDeployments
+ * @returns {Promise<{deletedCount: number, failedCount: number}>} Counts
+ */
+async function deleteDeployments(config, deployments) {
+  const pathname = `/accounts/${config.accountId}/pages/projects/${config.projectName}/deployments`;
+  let deletedCount = 0;
+  let failedCount = 0;
+
+  for (const deployment of deployments) {
+    try {
+      // force also deletes the branch's aliased (latest) deployment
+      await withRateLimitRetry(() => cfRequest(config.apiToken, 'DELETE', `${pathname}/${deployment.id}`, {
+        query: { force: true }
+      }));
+      deletedCount++;
+    } catch (error) {
+      console.error(`  Failed to delete Pages deployment ${deployment.id}: ${error.message}`);
+      failedCount++;
+    }
+
+    const done = deletedCount + failedCount;
+    if (done % 10 === 0 || done === deployments.length) {
+      console.log(`  Deleted ${deletedCount} of ${deployments.length} Pages deployment(s)`);
+    }
+  }
+
+  return { deletedCount, failedCount };
+}
+
+module.exports = {
+  withRateLimitRetry,
+  listBranchDeployments,
+  deleteDeployments
+};
@@ -0,0 +1,176 @@
+/**
+ * Dry-run planning: reports what provisioning would change without touching anything
+ */
+
+const path = require('path');
+const { formatDiff } = require('./diff.js');
+const { toPatchPreview, formatPreviewDiff } = require('./preview-config.js');
+
+// Stand-in for IDs of resources that don't exist yet
+const PENDING_ID = '<pending>';
+
+/**
+ * Replaces missing IDs of would-be-created resources with a placeholder
+ * @param {Object} provisioned - Dry-run provisioning result with d1, r2, kv, queues, vectorize, hyperdrive arrays
+ * @returns {Object} Provisioned resources safe to render into config and payloads
+ */
+function withPendingIds(provisioned) {
+  return {
+    d1: provisioned.d1.map(db => ({ ...db, id: db.id || PENDING_ID })),
+    r2: provisioned.r2,
+    kv: provisioned.kv.map(ns => ({ ...ns, id: ns.id || PENDING_ID })),
+    queues: provisioned.queues.map(queue => ({ ...queue, id: queue.id || PENDING_ID })),
+    vectorize: provisioned.vectorize,
+    hyperdrive: provisioned.hyperdrive.map(config => ({ ...config, id: config.id || PENDING_ID }))
+  };
+}
+
+/**
+ * Builds the plan for a dry run
+ * @param {Object} params - Plan inputs
+ * @param {Object} params.config - Runtime configuration (see config.js)
+ * @param {string} params.key - Branch key (see naming.js)
+ * @param {Object} params.bindings - Bindings extracted from the wrangler config
+ * @param {Object} params.provisioned - Dry-run provisioning result
+ * @param {Object} params.shared - Shared resources annotated with their binding names (see policy.js)
+ * @param {string} params.configPath - Path to the wrangler config file
+ * @param {string} params.configBefore - Current config file content
+ * @param {string} params.configAfter - Config content provisioning would write
+ * @param {Object} params.previewBefore - Current deployment_configs.preview of the project
+ * @param {Object} params.previewAfter - Preview config after merging the managed bindings
+ * @param {Object|null} params.previewOwner - Ownership record of the branch that last patched the preview bindings
+ * @returns {Object} Plan object (also the JSON output form)
+ */
+function buildPlan({
+  config, key, bindings, provisioned, shared, configPath, configBefore, configAfter, previewBefore, previewAfter, previewOwner
+}) {
+  const action = (resource) => (resource.created ? 'create' : 'reuse');
+
+  return {
+    project: config.projectName,
+    branch: config.branch,
+    key,
+    resources: {
+      d1: [
+        ...bindings.d1.map((b, i) => ({
+          binding: b.binding,
+          name: provisioned.d1[i].name,
+          id: provisioned.d1[i].id,
+          action: action(provisioned.d1[i])
+        })),
+        ...shared.d1.map(db => ({ binding: db.binding, name: db.name, id: db.id, action: 'share' }))
+      ],
+      r2: [
+        ...bindings.r2.map((b, i) => ({
+          binding: b.binding,
+          name: provisioned.r2[i].name,
+          action: action(provisioned.r2[i])
+        })),
+        ...shared.r2.map(bucket => ({ binding: bucket.binding, name: bucket.name, action: 'share' }))
+      ],
+      kv: [
+        ...bindings.kv.map((b, i) => ({
+          binding: b.binding,
+          title: provisioned.kv[i].title,
+          id: provisioned.kv[i].id,
+          action: action(provisioned.kv[i])
+        })),
+        ...shared.kv.map(ns => ({ binding: ns.binding, title: ns.title, id: ns.id, action: 'share' }))
+      ],
+      queues: [
+        ...bindings.queues.map((b, i) => ({
+          binding: b.binding,
+          name: provisioned.queues[i].name,
+          id: provisioned.queues[i].id,
+          action: action(provisioned.queues[i])
+        })),
+        ...shared.queues.map(queue => ({ binding: queue.binding, name: queue.name, action: 'share' }))
+      ],
+      vectorize: [
+        ...bindings.vectorize.map((b, i) => ({
+          binding: b.binding,
+          name: provisioned.vectorize[i].name,
+          action: action(provisioned.vectorize[i])
+        })),
+        ...shared.vectorize.map(index => ({ binding: index.binding, name: index.name, action: 'share' }))
+      ],
+      hyperdrive: [
+        ...bindings.hyperdrive.map((b, i) => ({
+          binding: b.binding,
+          name: provisioned.hyperdrive[i].name,
+          id: provisioned.hyperdrive[i].id,
+          action: action(provisioned.hyperdrive[i])
+        })),
+        ...shared.hyperdrive.map(config => ({ binding: config.binding, id: config.id, action: 'share' }))
+      ]
+    },
+    config: {
+      path: configPath,
+      changed: configBefore !== configAfter,
+      diff: formatDiff(configBefore, configAfter),
+      content: configAfter
+    },
+    preview: {
+      owner: previewOwner || null,
+      changed: JSON.stringify(previewBefore) !== JSON.stringify(previewAfter),
+      diff: formatPreviewDiff(previewBefore, previewAfter),
+      payload: { deployment_configs: { preview: toPatchPreview(previewAfter) } }
+    }
+  };
+}
+
+/**
+ * Prints a human-readable plan
+ * @param {Object} plan - Plan from buildPlan
+ */
+function printPlan(plan) {
+  console.log(`\nPlan for branch "${plan.branch}" (key "${plan.key}") on project ${plan.project}:\n`);
+
+  const sections = [
+    ['D1 Databases', plan.resources.d1, r => r.name],
+    ['R2 Buckets', plan.resources.r2, r => r.name],
+    ['KV Namespaces', plan.resources.kv, r => r.title],
+    ['Queues', plan.resources.queues, r => r.name],
+    ['Vectorize Indexes', plan.resources.vectorize, r => r.name],
+    ['Hyperdrive Configs', plan.resources.hyperdrive, r => r.name || '(base config)']
+  ];
+  for (const [label, resources, nameOf] of sections) {
+    if (resources.length === 0) continue;
+    console.log(`  ${label}:`);
+    for (const resource of resources) {
+      const marker = resource.action === 'create' ? '+' : '=';
+      const id = resource.id && resource.id !== PENDING_ID ? ` (${resource.id})` : '';
+      console.log(`    ${marker} ${resource.binding} -> ${nameOf(resource)}${id} [${resource.action}]`);
+    }
+  }
+
+  console.log(`\n  ${path.basename(plan.config.path)}:`);
+  if (plan.config.changed) {
+    console.log(plan.config.diff.split('\n').map(line => `    ${line}`).join('\n'));
+  } else {
+    console.log('    (no changes)');
+  }
+
+  console.log('\n  Preview deployment config:');
+  if (plan.preview.owner) {
+    console.log(`    (last owned by branch "${plan.preview.owner.branch}" at ${plan.preview.owner.updated_at})`);
+  }
+  if (plan.preview.changed) {
+    console.log(plan.preview.diff.split('\n').map(line => `    ${line}`).join('\n'));
+  } else {
+    console.log('    (no changes)');
+  }
+
+  console.log('\n  PATCH payload:');
+  console.log(JSON.stringify(plan.preview.payload, null, 2)
+    .split('\n').map(line => `    ${line}`).join('\n'));
+
+  console.log('\nDry run: no resources were created, no files were written, the project was not updated');
+}
+
+module.exports = {
+  PENDING_ID,
+  withPendingIds,
+  buildPlan,
+  printPlan
+};
@@ -0,0 +1,108 @@
+/**
+ * Per-binding provisioning policies, set in the "bindings" map of the
+ * cf-branch-wrangler settings (see branch-config.js):
+ *   isolate - provision a branch copy of the resource (default)
+ *   share   - keep using the base resource; passed through unchanged to the
+ *             branch config and the preview bindings
+ *   skip    - don't provision anything; the config entry and the preview
+ *             binding are left as they are
+ */
+
+const POLICIES = ['isolate', 'share', 'skip'];
+const DEFAULT_POLICY = 'isolate';
+
+/**
+ * Returns the policy from a bindings map value
+ * @param {string|Object} [value] - Policy name, or an object with a policy field
+ * @returns {string|undefined} Policy name
+ */
+function policyOf(value) {
+  return typeof value === 'string' ? value : value && value.policy;
+}
+
+/**
+ * Reads the policy for each binding from the settings
+ * Policies are given as `BINDING = "share"` or `BINDING = { policy = "share" }`.
+ * @param {Object} settings - cf-branch-wrangler settings
+ * @param {Object} bindings - Bindings extracted from the wrangler config
+ * @returns {Map<string, string>} Policy by binding name, for every binding
+ * @throws {Error} If a policy is not one of POLICIES
+ */
+function getBindingPolicies(settings, bindings) {
+  const configured = settings.bindings || {};
+  const names = [
+    ...bindings.d1, ...bindings.r2, ...bindings.kv, ...bindings.queues, ...bindings.vectorize, ...bindings.hyperdrive
+  ].map(b => b.binding);
+
+  for (const [name, value] of Object.entries(configured)) {
+    const policy = policyOf(value);
+    if (policy !== undefined && !POLICIES.includes(policy)) {
+      throw new Error(`Invalid policy "${policy}" for binding ${name}. Expected one of: ${POLICIES.join(', ')}`);
+    }
+    if (!names.includes(name)) {
+      console.warn(`Warning: Policy set for unknown binding ${name}, ignoring`);
+    }
+  }
+
+  const policies = new Map();
+  for (const name of names) {
+    policies.set(name, policyOf(configured[name]) || DEFAULT_POLICY);
+  }
+  return policies;
+}
+
+/**
+ * Splits bindings by policy
+ * @param {Object} bindings - Bindings extracted from the wrangler config
+ * @param {Map<string, string>} policies - Policy by binding name
+ * @returns {Object} { isolate, share, skip }, each with d1, r2, kv, queues, vectorize, hyperdrive binding arrays
+ */
+function partitionBindings(bindings, policies) {
+  const result = {};
+  for (const policy of POLICIES) {
+    result[policy] = { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] };
+  }
+
+  for (const type of ['d1', 'r2', 'kv', 'queues', 'vectorize', 'hyperdrive']) {
+    for (const binding of bindings[type]) {
+      result[policies.get(binding.binding)][type].push(binding);
+    }
+  }
+  return result;
+}
+
+/**
+ * Resolves shared bindings to their base resources
+ * D1 bindings without a database_id in the config are looked up by name.
+ * @param {Object} bindings - Shared bindings with d1, r2, kv, queues, vectorize, hyperdrive arrays
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @returns {Promise<Object>} Resources annotated with their binding names, in the shape of provisioned resources
+ * @throws {Error} If a shared D1 database doesn't exist
+ */
+async function resolveSharedBindings(bindings, provider) {
+  const d1 = [];
+  for (const b of bindings.d1) {
+    const id = b.id || await provider.findD1Database(b.name);
+    if (!id) {
+      throw new Error(`Shared D1 database ${b.name} (binding ${b.binding}) not found`);
+    }
+    d1.push({ binding: b.binding, id, name: b.name });
+  }
+
+  return {
+    d1,
+    r2: bindings.r2.map(b => ({ binding: b.binding, name: b.name })),
+    kv: bindings.kv.map(b => ({ binding: b.binding, id: b.id, title: b.id })),
+    queues: bindings.queues.map(b => ({ binding: b.binding, name: b.name })),
+    vectorize: bindings.vectorize.map(b => ({ binding: b.binding, name: b.name })),
+    hyperdrive: bindings.hyperdrive.map(b => ({ binding: b.binding, id: b.id }))
+  };
+}
+
+module.exports = {
+  POLICIES,
+  DEFAULT_POLICY,
+  getBindingPolicies,
+  partitionBindings,
+  resolveSharedBindings
+};
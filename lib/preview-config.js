@@ -0,0 +1,134 @@
+/**
+ * Preview deployment config payloads for the Pages Project API
+ */
+
+const { formatDiff } = require('./diff.js');
+
+// Binding types in deployment_configs.preview that this tool manages
+const MANAGED_BINDING_TYPES = [
+  'd1_databases', 'r2_buckets', 'kv_namespaces', 'queue_producers', 'vectorize_bindings', 'hyperdrive_bindings',
+  'services', 'durable_object_namespaces'
+];
+
+/**
+ * Builds the managed binding maps for the preview environment
+ * @param {Object} bindings - Provisioned resources with d1, r2, kv, queues, vectorize, hyperdrive arrays, and resolved
+ *   Workers with services and durableObjects arrays (all annotated with binding names)
+ * @returns {Object} Binding maps keyed by deployment_configs binding type
+ */
+function buildManagedBindings(bindings) {
+  // Cloudflare API expects bindings as objects keyed by binding name, not arrays
+  const d1Map = {};
+  for (const db of bindings.d1) {
+    d1Map[db.binding] = { id: db.id };
+  }
+
+  const r2Map = {};
+  for (const bucket of bindings.r2) {
+    r2Map[bucket.binding] = { name: bucket.name };
+  }
+
+  const kvMap = {};
+  for (const ns of bindings.kv) {
+    kvMap[ns.binding] = { namespace_id: ns.id };
+  }
+
+  const queueMap = {};
+  for (const queue of bindings.queues) {
+    queueMap[queue.binding] = { name: queue.name };
+  }
+
+  const vectorizeMap = {};
+  for (const index of bindings.vectorize) {
+    vectorizeMap[index.binding] = { index_name: index.name };
+  }
+
+  const hyperdriveMap = {};
+  for (const config of bindings.hyperdrive) {
+    hyperdriveMap[config.binding] = { id: config.id };
+  }
+
+  const serviceMap = {};
+  for (const service of bindings.services) {
+    serviceMap[service.binding] = service.environment
+      ? { service: service.worker, environment: service.environment }
+      : { service: service.worker };
+  }
+
+  // Durable Objects are bound by namespace; ones whose namespace wasn't found are left alone
+  const durableObjectMap = {};
+  for (const ns of bindings.durableObjects) {
+    if (ns.namespaceId) {
+      durableObjectMap[ns.binding] = { namespace_id: ns.namespaceId };
+    }
+  }
+
+  return {
+    d1_databases: d1Map,
+    r2_buckets: r2Map,
+    kv_namespaces: kvMap,
+    queue_producers: queueMap,
+    vectorize_bindings: vectorizeMap,
+    hyperdrive_bindings: hyperdriveMap,
+    services: serviceMap,
+    durable_object_namespaces: durableObjectMap
+  };
+}
+
+/**
+ * Merges managed bindings into the project's current preview config
+ * Only the binding names this tool manages are replaced; env vars, other
+ * binding types, compatibility settings and unmanaged bindings are kept.
+ * @param {Object} current - Current deployment_configs.preview (may be empty)
+ * @param {Object} managed - Managed binding maps from buildManagedBindings
+ * @returns {Object} Merged preview config
+ */
+function mergePreviewConfig(current, managed) {
+  const merged = { ...(current || {}) };
+
+  for (const [type, map] of Object.entries(managed)) {
+    // Don't add empty maps for binding types with nothing to manage
+    if (Object.keys(map).length === 0) continue;
+    merged[type] = { ...(merged[type] || {}), ...map };
+  }
+
+  return merged;
+}
+
+/**
+ * Prepares a merged preview config for the PATCH body
+ * Secret env vars come back from the API without their values, so they are
+ * omitted from the payload (the PATCH leaves unspecified env vars untouched)
+ * rather than being sent back empty.
+ * @param {Object} preview - Merged preview config
+ * @returns {Object} Preview config safe to send
+ */
+function toPatchPreview(preview) {
+  if (!preview.env_vars) return preview;
+
+  const envVars = {};
+  for (const [name, envVar] of Object.entries(preview.env_vars)) {
+    if (envVar && envVar.type === 'secret_text' && envVar.value === undefined) continue;
+    envVars[name] = envVar;
+  }
+
+  return { ...preview, env_vars: envVars };
+}
+
+/**
+ * Formats a diff of the preview config before and after an update
+ * @param {Object} before - Preview config before the update
+ * @param {Object} after - Preview config after the update
+ * @returns {string} Formatted diff, or an empty string if nothing changes
+ */
+function formatPreviewDiff(before, after) {
+  return formatDiff(JSON.stringify(before || {}, null, 2), JSON.stringify(after || {}, null, 2));
+}
+
+module.exports = {
+  MANAGED_BINDING_TYPES,
+  buildManagedBindings,
+  mergePreviewConfig,
+  toPatchPreview,
+  formatPreviewDiff
+};
@@ -0,0 +1,262 @@
+/**
+ * Resetting preview bindings that point at deleted resources
+ *
+ * Pages has one preview binding set per project, so after cleanup deletes the
+ * resources of the branch that last patched it, previews of other branches
+ * would bind to resources that no longer exist. Configured in the
+ * cf-branch-wrangler settings (or with --preview-fallback):
+ *   preview_fallback = "remove"          # drop the stale bindings (default)
+ *   preview_fallback = "branch:staging"  # point them at another branch's resources
+ *   preview_fallback = "shared"          # point them at the resources in preview_shared
+ *   [branch_wrangler.preview_shared]
+ *   DB = "my-db-preview"                 # resource name (KV: namespace title) per binding
+ */
+
+const { getPagesProject, fetchAccountId, cfRequest } = require('./api-client.js');
+const { formatPreviewDiff } = require('./preview-config.js');
+const { resourceName, getBranchKey } = require('./naming.js');
+const { isProductionBranch } = require('./branch-sanitizer.js');
+const { acquirePreviewLock, releasePreviewLock, recordPreviewOwner } = require('./lock.js');
+
+// Holder name for the preview binding lock while cleanup resets bindings
+const LOCK_HOLDER = 'cf-branch-wrangler cleanup';
+
+// How each resource type appears in deployment_configs.preview, and how to find a replacement by name
+const PREVIEW_TYPES = [
+  {
+    type: 'd1',
+    previewType: 'd1_databases',
+    isDeleted: (entry, deleted) => deleted.d1.some(db => db.id === entry.id),
+    baseName: b => b.name,
+    find: async (provider, name) => {
+      const id = await provider.findD1Database(name);
+      return id ? { id } : null;
+    }
+  },
+  {
+    type: 'r2',
+    previewType: 'r2_buckets',
+    isDeleted: (entry, deleted) => deleted.r2.some(bucket => bucket.name === entry.name),
+    baseName: b => b.name,
+    find: async (provider, name) => ((await provider.findR2Bucket(name)) ? { name } : null)
+  },
+  {
+    type: 'kv',
+    previewType: 'kv_namespaces',
+    isDeleted: (entry, deleted) => deleted.kv.some(ns => ns.id === entry.namespace_id),
+    baseName: b => b.id,
+    find: async (provider, name) => {
+      const id = await provider.findKVNamespace(name);
+      return id ? { namespace_id: id } : null;
+    }
+  },
+  {
+    type: 'queues',
+    previewType: 'queue_producers',
+    isDeleted: (entry, deleted) => deleted.queues.some(queue => queue.name === entry.name),
+    baseName: b => b.name,
+    find: async (provider, name) => ((await provider.findQueue(name)) ? { name } : null)
+  },
+  {
+    type: 'vectorize',
+    previewType: 'vectorize_bindings',
+    isDeleted: (entry, deleted) => deleted.vectorize.some(index => index.name === entry.index_name),
+    baseName: b => b.name,
+    find: async (provider, name) => ((await provider.findVectorizeIndex(name)) ? { index_name: name } : null)
+  },
+  {
+    type: 'hyperdrive',
+    previewType: 'hyperdrive_bindings',
+    isDeleted: (entry, deleted) => deleted.hyperdrive.some(config => config.id === entry.id),
+    baseName: b => b.name,
+    find: async (provider, name) => {
+      const id = await provider.findHyperdriveConfig(name);
+      return id ? { id } : null;
+    }
+  }
+];
+
+/**
+ * Parses the preview fallback setting
+ * @param {Object} settings - cf-branch-wrangler settings (see branch-config.js)
+ * @param {string} [override] - Fallback given on the command line, replacing the setting
+ * @param {string} productionBranch - Production branch name
+ * @returns {Object} Fallback { mode: 'remove'|'branch'|'shared', branch?, resources? }
+ * @throws {Error} If the fallback is invalid
+ */
+function getPreviewFallback(settings, override, productionBranch) {
+  const spec = (override || settings.preview_fallback || 'remove').trim();
+
+  if (spec === 'remove') {
+    return { mode: 'remove' };
+  }
+
+  if (spec.startsWith('branch:')) {
+    const branch = spec.slice('branch:'.length).trim();
+    if (!branch) {
+      throw new Error('Preview fallback "branch:" needs a branch name, e.g. branch:staging');
+    }
+    // Production uses the base resources, which previews must never write to
+    if (isProductionBranch(branch, productionBranch)) {
+      throw new Error(`Preview fallback can't be the production branch "${branch}"`);
+    }
+    return { mode: 'branch', branch };
+  }
+
+  if (spec === 'shared') {
+    const resources = settings.preview_shared;
+    if (!resources || typeof resources !== 'object' || Array.isArray(resources)) {
+      throw new Error('Preview fallback "shared" needs a preview_shared table of binding names to resource names');
+    }
+    return { mode: 'shared', resources };
+  }
+
+  throw new Error(`Invalid preview fallback "${spec}". Expected: remove, branch:<name> or shared`);
+}
+
+/**
+ * Finds the preview bindings that point at deleted resources
+ * @param {Object} preview - Current deployment_configs.preview
+ * @param {Object} deleted - Deleted resources: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }
+ * @returns {Array<{previewType: string, binding: string}>} Stale bindings
+ */
+function findStaleBindings(preview, deleted) {
+  const stale = [];
+  for (const { previewType, isDeleted } of PREVIEW_TYPES) {
+    for (const [binding, entry] of Object.entries(preview[previewType] || {})) {
+      if (entry && isDeleted(entry, deleted)) {
+        stale.push({ previewType, binding });
+      }
+    }
+  }
+  return stale;
+}
+
+/**
+ * Looks up the replacement for a stale binding
+ * @param {Object} context - Cleanup context (see cleanup.js)
+ * @param {Object} fallback - Fallback from getPreviewFallback
+ * @param {Object} stale - Stale binding from findStaleBindings
+ * @returns {Promise<Object|null>} Preview binding entry, or null to remove the binding
+ */
+async function resolveFallbackEntry(context, fallback, { previewType, binding }) {
+  const { type, baseName, find } = PREVIEW_TYPES.find(t => t.previewType === previewType);
+  if (fallback.mode === 'remove') return null;
+
+  let name;
+  if (fallback.mode === 'shared') {
+    name = fallback.resources[binding];
+    if (!name) {
+      console.warn(`  Warning: No preview_shared resource for binding ${binding}, removing it`);
+      return null;
+    }
+  } else {
+    const base = context.bindings[type].find(b => b.binding === binding);
+    if (!base || !baseName(base)) {
+      console.warn(`  Warning: Binding ${binding} isn't in the wrangler config, removing it`);
+      return null;
+    }
+    name = resourceName(baseName(base), fallback.branch, { template: context.config.nameTemplate });
+  }
+
+  const entry = await find(context.provider, name);
+  if (!entry) {
+    console.warn(`  Warning: Fallback resource ${name} for binding ${binding} not found, removing the binding`);
+  }
+  return entry;
+}
+
+/**
+ * Resets preview bindings that point at deleted resources to the configured fallback
+ * Bindings that still point at live resources are left alone.
+ * @param {Object} context - Cleanup context (see cleanup.js)
+ * @param {Object} deleted - Deleted resources: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }
+ * @param {Object} fallback - Fallback from getPreviewFallback
+ * @returns {Promise<number>} Number of bindings reset
+ */
+async function resetPreviewBindings(context, deleted, fallback) {
+  const { config, lockStorage } = context;
+
+  if (!config.apiToken) {
+    console.warn('\nWarning: CLOUDFLARE_API_TOKEN not set, can\'t check preview bindings for deleted resources');
+    return 0;
+  }
+  if (!config.projectName) {
+    console.warn('\nWarning: No Pages project name, can\'t check preview bindings for deleted resources');
+    return 0;
+  }
+  if (!config.accountId) {
+    config.accountId = await fetchAccountId(config.apiToken);
+  }
+
+  console.log(`\nChecking preview bindings of Pages Project ${config.projectName}`);
+
+  // Builds patch the preview bindings under the lock, so take it too
+  let lease = null;
+  if (lockStorage) {
+    lease = await acquirePreviewLock(lockStorage, {
+      projectName: config.projectName,
+      branch: LOCK_HOLDER,
+      ttl: config.lockTtl,
+      wait: config.lockWait
+    });
+  }
+
+  try {
+    const project = await getPagesProject(config.accountId, config.projectName, config.apiToken);
+    const before = (project.deployment_configs && project.deployment_configs.preview) || {};
+    const stale = findStaleBindings(before, deleted);
+    if (stale.length === 0) {
+      console.log('  No preview bindings point at deleted resources');
+      return 0;
+    }
+
+    const label = fallback.mode === 'branch' ? `branch "${fallback.branch}"` : fallback.mode;
+    console.log(`  ${stale.length} preview binding(s) point at deleted resources, resetting to fallback: ${label}`);
+
+    // null removes a binding in the PATCH; the diff shows it as gone
+    const patch = {};
+    const after = { ...before };
+    const applied = {};
+    for (const item of stale) {
+      const entry = await resolveFallbackEntry(context, fallback, item);
+      patch[item.previewType] = { ...(patch[item.previewType] || {}), [item.binding]: entry };
+      after[item.previewType] = { ...after[item.previewType] };
+      if (entry) {
+        after[item.previewType][item.binding] = entry;
+        applied[item.previewType] = { ...(applied[item.previewType] || {}), [item.binding]: entry };
+      } else {
+        delete after[item.previewType][item.binding];
+      }
+    }
+
+    console.log('  Preview config changes:');
+    console.log(formatPreviewDiff(before, after).split('\n').map(line => `    ${line}`).join('\n'));
+
+    await cfRequest(config.apiToken, 'PATCH', `/accounts/${config.accountId}/pages/projects/${config.projectName}`, {
+      body: { deployment_configs: { preview: patch } }
+    });
+    console.log(`  Reset ${stale.length} preview binding(s)`);
+
+    if (lockStorage) {
+      await recordPreviewOwner(lockStorage, config.projectName, {
+        branch: fallback.mode === 'branch' ? fallback.branch : null,
+        key: fallback.mode === 'branch' ? getBranchKey(fallback.branch) : null,
+        fallback: fallback.mode,
+        bindings: applied
+      });
+    }
+
+    return stale.length;
+  } finally {
+    if (lease) {
+      await releasePreviewLock(lockStorage, config.projectName, lease);
+    }
+  }
+}
+
+module.exports = {
+  getPreviewFallback,
+  findStaleBindings,
+  resetPreviewBindings
+};
@@ -0,0 +1,41 @@
+/**
+ * Resource backend selection (REST API with wrangler CLI fallback)
+ */
+
+const { fetchAccountId } = require('./api-client.js');
+const { createRestProvider } = require('./rest-provider.js');
+const { createWranglerProvider } = require('./wrangler-provider.js');
+
+/**
+ * Creates the resource provider for the configured backend
+ * Falls back to the wrangler CLI when explicitly requested or when no API token
+ * is available (wrangler can use its own login). Derives the account ID for the
+ * REST backend if it isn't set, storing it back on the config.
+ * @param {Object} config - Configuration object
+ * @param {string} [config.apiToken] - Cloudflare API bearer token
+ * @param {string} [config.accountId] - Cloudflare Account ID
+ * @param {'api'|'wrangler'} [config.backend] - Requested backend
+ * @returns {Promise<Object>} Provider implementing the list/find/create/delete interface
+ */
+async function createProvider(config) {
+  if (config.backend === 'wrangler') {
+    console.log('Using wrangler CLI backend');
+    return createWranglerProvider();
+  }
+
+  if (!config.apiToken) {
+    console.log('CLOUDFLARE_API_TOKEN not set, falling back to wrangler CLI backend');
+    return createWranglerProvider();
+  }
+
+  if (!config.accountId) {
+    console.log('Deriving account ID from API token');
+    config.accountId = await fetchAccountId(config.apiToken);
+    console.log(`  Account ID: ${config.accountId}`);
+  }
+
+  console.log('Using Cloudflare REST API backend');
+  return createRestProvider({ apiToken: config.apiToken, accountId: config.accountId });
+}
+
+module.exports = { createProvider };
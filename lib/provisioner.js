@@ -1,145 +1,222 @@
 /**
- * Resource provisioning via Wrangler CLI
+ * Resource provisioning for branch deployments
+ * Resources are created through the configured provider; D1 migrations,
+ * seeding and cloned data still run through the wrangler CLI, which tracks
+ * applied migrations.
  */
 
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { connectionStringEnvVar, resolveConnectionString, parseConnectionString } = require('./hyperdrive.js');
+const { getCloneSettings, resolveCloneSource, buildCloneSql } = require('./d1-clone.js');
+const {
+  resolveSeedFiles, reseedOnChange, hashSeedFiles, readSeedMarker, recordPendingSeedMarker, recordSeedMarker
+} = require('./d1-seed.js');
+const { getKVSeedSettings, buildKVSeedEntries } = require('./kv-seed.js');
+const { getR2FixtureSettings, readBucketSettings, applyBucketSettings, uploadFixtures } = require('./r2-fixtures.js');
+const { emptyBucket } = require('./r2-empty.js');
 
 /**
- * Parses a database ID from wrangler d1 create output
- * Matches: database_id = "uuid-here"
- * @param {string} output - Command output text
- * @returns {string|null} Database ID if found
+ * Picks the branch resource name, reusing a resource under its legacy name if one exists
+ * @param {Object} naming - Branch namer (see naming.js)
+ * @param {string} baseName - Base resource name from the wrangler config
+ * @param {Function} find - Looks a resource up by name, resolving to a truthy value if it exists
+ * @returns {Promise<{name: string, found: *}>} Name to use and the lookup result (null if missing)
  */
-function parseD1CreateOutput(output) {
-  const match = output.match(/database_id\s*=\s*"([a-f0-9-]+)"/);
-  return match ? match[1] : null;
+async function resolveName(naming, baseName, find) {
+  const name = naming.nameFor(baseName);
+  const found = await find(name);
+  if (found) return { name, found };
+
+  const legacyName = naming.legacyNameFor(baseName);
+  if (legacyName !== name) {
+    const legacyFound = await find(legacyName);
+    if (legacyFound) {
+      console.log(`Found existing resource under legacy name: ${legacyName}`);
+      return { name: legacyName, found: legacyFound };
+    }
+  }
+
+  return { name, found: null };
 }
 
 /**
- * Finds a D1 database by name using the Cloudflare API via wrangler
- * @param {string} name - Database name to find
- * @returns {string|null} Database ID if found, null otherwise
+ * Writes a temp wrangler config holding only the branch database
+ * wrangler d1 migrations apply doesn't support --database-id, it needs a config lookup.
+ * The file sits in the working directory, so relative migrations_dir values still resolve.
+ * @param {Object} binding - D1 binding configuration
+ * @param {Object} db - Branch database { id, name }
+ * @param {string} configFormat - Config format: 'toml' or 'jsonc'
+ * @returns {string} Temp config path; the caller deletes it
  */
-function findD1Database(name) {
-  try {
-    const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-    const baseCmd = accountId
-      ? `npx wrangler d1 list --accountId=${accountId}`
-      : 'npx wrangler d1 list';
-
-    // Try JSON output first (wrangler 3.x+)
-    try {
-      const jsonOut = execSync(`${baseCmd} --json`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
-      const databases = JSON.parse(jsonOut);
-      const found = databases.find(db => db.name === name);
-      if (found) return found.uuid;
-    } catch (_) {
-      // --json flag might not be supported, fall through to text parsing
-    }
-
-    // Fallback: parse text output
-    const output = execSync(baseCmd, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
-
-    // Try various wrangler output formats
-    for (const line of output.split('\n')) {
-      // Table format: │ uuid │ name │ ...
-      if (line.includes(name)) {
-        const uuidMatch = line.match(/([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})/);
-        if (uuidMatch) return uuidMatch[1];
-      }
-    }
-
-    return null;
-  } catch (error) {
-    return null;
+function writeTmpD1Config(binding, db, configFormat) {
+  const isJsonc = configFormat === 'jsonc';
+  const tmpConfig = path.join(process.cwd(), isJsonc ? '.branch-wrangler.json' : '.branch-wrangler.toml');
+  const entry = { binding: binding.binding, database_name: db.name, database_id: db.id };
+  if (binding.migrationsDir) {
+    entry.migrations_dir = binding.migrationsDir;
   }
+  const content = isJsonc
+    ? JSON.stringify({ d1_databases: [entry] }, null, 2)
+    : `[[d1_databases]]\n${Object.entries(entry).map(([key, value]) => `${key} = ${JSON.stringify(value)}`).join('\n')}\n`;
+  fs.writeFileSync(tmpConfig, content);
+  return tmpConfig;
 }
 
 /**
- * Finds an R2 bucket by name in the wrangler list output
- * @param {string} name - Bucket name to find
- * @returns {boolean} True if bucket exists
+ * Decides whether a database's seed files should run
+ * New databases get a pending marker when they are created, so one whose
+ * first build failed is still seeded. A database with no marker at all
+ * predates seed markers, or was seeded by hand, so its data is kept: the
+ * marker is recorded without seeding.
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {Object} db - Branch database { id, name }; a database about to be created has no id
+ * @param {string} hash - Hash of the seed files (see d1-seed.js)
+ * @param {boolean} onChange - Whether changed seed files run again
+ * @returns {Promise<{seed: boolean, mark: boolean, reason: string}>} Decision, whether to only record
+ *   the marker, and the reason to log
  */
-function findR2Bucket(name) {
-  try {
-    const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-    const cmd = accountId
-      ? `npx wrangler r2 bucket list --accountId=${accountId}`
-      : 'npx wrangler r2 bucket list';
-    const output = execSync(cmd, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
-    return output.includes(name);
-  } catch (error) {
-    return false;
+async function checkSeedNeeded(provider, db, hash, onChange) {
+  if (!db.id) {
+    return { seed: true, mark: false, reason: 'new database' };
   }
+
+  const marker = await readSeedMarker(provider, db);
+  if (!marker) {
+    return { seed: false, mark: true, reason: 'existing database without a seed marker' };
+  }
+  if (marker.state === 'seeding') {
+    return { seed: true, mark: false, reason: 'seeding didn\'t complete on an earlier build' };
+  }
+  if (marker.hash === hash) {
+    return { seed: false, mark: false, reason: `already seeded at ${marker.seeded_at}` };
+  }
+  if (onChange) {
+    return { seed: true, mark: false, reason: `seed files changed since ${marker.seeded_at}` };
+  }
+  return {
+    seed: false,
+    mark: false,
+    reason: `seed files changed since ${marker.seeded_at}; run reseed or set reseed_on_change to apply them`
+  };
 }
 
 /**
- * Finds a KV namespace by title (name) in the wrangler list output
- * @param {string} name - Namespace name to find
- * @returns {string|null} Namespace ID if found, null otherwise
+ * Runs seed files against a branch database, then records the seed marker
+ * Exits the process if a seed file fails; the marker is then left as it was.
+ * @param {Object} db - Branch database { id, name }
+ * @param {string[]} seedFiles - Seed file paths, in order
+ * @param {string} hash - Hash of the seed files (see d1-seed.js)
+ * @param {string} tmpConfig - Temp wrangler config from writeTmpD1Config
+ * @param {Object} provider - Resource provider (see provider.js)
  */
-function findKVNamespace(name) {
-  try {
-    const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-    const baseCmd = accountId
-      ? `npx wrangler kv namespace list --accountId=${accountId}`
-      : 'npx wrangler kv namespace list';
-
-    // Try JSON output first
+async function runSeedFiles(db, seedFiles, hash, tmpConfig, provider) {
+  for (const seedFile of seedFiles) {
+    const seedName = path.relative(process.cwd(), seedFile);
+    console.log(`  Running ${seedName} for ${db.name}`);
     try {
-      const jsonOut = execSync(`${baseCmd} --json`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
-      const namespaces = JSON.parse(jsonOut);
-      const found = namespaces.find(ns => ns.title === name);
-      if (found) return found.id;
-    } catch (_) {
-      // Fall through to text parsing
+      execSync(`npx wrangler d1 execute ${db.name} --remote --file=${seedFile} --config=${tmpConfig}`, {
+        stdio: 'inherit'
+      });
+    } catch (error) {
+      console.error(`  Seed ${seedName} failed for ${db.name}`);
+      process.exit(1);
     }
+  }
 
-    const output = execSync(baseCmd, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
-    for (const line of output.split('\n')) {
-      if (line.includes(name)) {
-        const uuidMatch = line.match(/([a-f0-9]{32})/);
-        if (uuidMatch) return uuidMatch[1];
-      }
-    }
-    return null;
+  try {
+    await recordSeedMarker(provider, db, seedFiles, hash);
   } catch (error) {
-    return null;
+    console.error(`  Failed to record seed marker in ${db.name}: ${error.message}`);
+    process.exit(1);
   }
 }
 
 /**
  * Provisions a D1 database for a branch
+ * Migrations come from the binding's migrations_dir (default migrations/). A
+ * new database is filled with data cloned from a source database if the
+ * binding has clone settings (see d1-clone.js), and removed again if the
+ * clone fails; otherwise the binding's seed files run (see d1-seed.js) if the
+ * database hasn't been seeded yet, or if they changed since and
+ * reseed_on_change is set.
  * @param {Object} binding - D1 binding configuration
- * @param {string} suffix - Branch suffix (e.g., "-feature-branch")
+ * @param {Object} naming - Branch namer (see naming.js)
  * @param {string} configFormat - Config format: 'toml' or 'jsonc'
- * @returns {Object} Database info with id and name
+ * @param {Object} options - Provisioning options
+ * @param {Object} options.provider - Resource provider (see provider.js)
+ * @param {Object} [options.settings] - cf-branch-wrangler settings (see branch-config.js)
+ * @param {boolean} [options.dryRun] - Only look up the database, never create or migrate it
+ * @param {Function} [options.onCreated] - Called with (type, binding, resource) once a new resource is in place
+ * @returns {Promise<Object>} Database info with id, name and whether it was (or would be) created
  */
-function provisionD1(binding, suffix, configFormat) {
-  const dbName = `${binding.name}${suffix}`;
-  console.log(`Provisioning D1 database: ${dbName}`);
-
+async function provisionD1(binding, naming, configFormat, { provider, settings = {}, dryRun = false, onCreated = async () => {} }) {
   // Check if database already exists
-  let dbId = findD1Database(dbName);
+  const resolved = await resolveName(naming, binding.name, name => provider.findD1Database(name));
+  const dbName = resolved.name;
+  let dbId = resolved.found;
+  const created = !dbId;
+  console.log(`Provisioning D1 database: ${dbName}`);
 
-  if (!dbId) {
-    console.log(`  Creating new D1 database: ${dbName}`);
-    const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-    const cmd = accountId
-      ? `npx wrangler d1 create ${dbName} --accountId=${accountId}`
-      : `npx wrangler d1 create ${dbName}`;
+  // Data is only cloned into new databases; check the source and seeds before creating anything
+  let clone = null;
+  let cloneSource = null;
+  let seedFiles = [];
+  let seedHash = null;
+  let seedCheck = { seed: false, mark: false };
+  try {
+    clone = getCloneSettings(settings, binding);
+    cloneSource = clone && created ? await resolveCloneSource(clone, binding, provider) : null;
+    seedFiles = clone ? [] : resolveSeedFiles(binding, settings);
+    if (seedFiles.length > 0) {
+      seedHash = hashSeedFiles(seedFiles);
+      seedCheck = await checkSeedNeeded(provider, { id: dbId, name: dbName }, seedHash, reseedOnChange(settings, binding));
+    }
+  } catch (error) {
+    console.error(`  ${error.message}`);
+    process.exit(1);
+  }
 
-    // Capture create output so we can parse the database_id from it
-    const output = execSync(cmd, { encoding: 'utf-8' });
-    console.log(output);
+  if (dryRun) {
+    console.log(dbId
+      ? `  D1 database already exists: ${dbName} (${dbId})`
+      : `  Would create D1 database: ${dbName}`);
+    if (cloneSource) {
+      console.log(`  Would clone data from ${cloneSource.label}`);
+    }
+    if (seedFiles.length > 0) {
+      if (seedCheck.seed) {
+        console.log(`  Would run ${seedFiles.length} seed file(s) (${seedCheck.reason})`);
+      } else if (seedCheck.mark) {
+        console.log(`  Would record a seed marker without running the seed files (${seedCheck.reason})`);
+      } else {
+        console.log(`  Would skip seed files (${seedCheck.reason})`);
+      }
+    }
+    return { id: dbId, name: dbName, created };
+  }
 
-    dbId = parseD1CreateOutput(output);
+  // Data is only cloned into new databases, so a database left behind by a failed clone would be
+  // reused without its data; remove it instead, so the next build creates and clones it again.
+  // The same goes for a new database whose pending seed marker can't be written
+  const discardNew = async () => {
+    console.error(`  Removing ${dbName} so the next build starts over with a new database`);
+    try {
+      await provider.deleteD1Database({ id: dbId, name: dbName });
+    } catch (deleteError) {
+      console.error(`  Failed to remove ${dbName}, delete it before the next build: ${deleteError.message}`);
+      await onCreated('d1', binding, { id: dbId, name: dbName });
+    }
+  };
 
-    // If we couldn't parse it from the create output, try listing
-    if (!dbId) {
-      dbId = findD1Database(dbName);
+  if (!dbId) {
+    console.log(`  Creating new D1 database: ${dbName}`);
+    try {
+      dbId = await provider.createD1Database(dbName);
+    } catch (error) {
+      console.error(`  Failed to create D1 database ${dbName}: ${error.message}`);
+      process.exit(1);
     }
 
     if (!dbId) {
@@ -147,126 +224,291 @@ function provisionD1(binding, suffix, configFormat) {
       process.exit(1);
     }
     console.log(`  Created D1 database: ${dbName} (${dbId})`);
+
+    // Marks the database as not seeded yet, so a failure before the seeds finish doesn't pass for a seeded database
+    if (seedCheck.seed) {
+      try {
+        await recordPendingSeedMarker(provider, { id: dbId, name: dbName });
+      } catch (error) {
+        console.error(`  Failed to record seed marker in ${dbName}: ${error.message}`);
+        await discardNew();
+        process.exit(1);
+      }
+    }
+    // A database to be cloned is recorded once the clone is in, as it is removed if the clone fails
+    if (!cloneSource) {
+      await onCreated('d1', binding, { id: dbId, name: dbName });
+    }
   } else {
     console.log(`  D1 database already exists: ${dbName} (${dbId})`);
   }
 
-  // Generate a temp wrangler config so migrations/seed can resolve the DB by name.
-  // wrangler d1 migrations apply doesn't support --database-id, it needs a config lookup.
-  const isJsonc = configFormat === 'jsonc';
-  const tmpConfigName = isJsonc ? '.branch-wrangler.json' : '.branch-wrangler.toml';
-  const tmpConfig = path.join(process.cwd(), tmpConfigName);
-  const needsTmpConfig = fs.existsSync(path.join(process.cwd(), 'migrations')) ||
-    fs.existsSync(path.join(process.cwd(), 'seed.sql'));
-
-  if (needsTmpConfig) {
-    const content = isJsonc
-      ? JSON.stringify({ d1_databases: [{ binding: binding.binding, database_name: dbName, database_id: dbId }] }, null, 2)
-      : `[[d1_databases]]\nbinding = "${binding.binding}"\ndatabase_name = "${dbName}"\ndatabase_id = "${dbId}"\n`;
-    fs.writeFileSync(tmpConfig, content);
-  }
+  // Generate a temp wrangler config so migrations/seed can resolve the DB by name
+  const migrationsDir = path.resolve(process.cwd(), binding.migrationsDir || 'migrations');
+  const needsTmpConfig = fs.existsSync(migrationsDir) || seedCheck.seed || cloneSource;
+  const tmpConfig = needsTmpConfig ? writeTmpD1Config(binding, { id: dbId, name: dbName }, configFormat) : null;
 
   try {
     // Run migrations if they exist
-    const migrationsDir = path.join(process.cwd(), 'migrations');
     if (fs.existsSync(migrationsDir)) {
-      console.log(`  Running migrations for ${dbName}`);
+      console.log(`  Running migrations from ${path.relative(process.cwd(), migrationsDir)} for ${dbName}`);
       try {
         execSync(`npx wrangler d1 migrations apply ${dbName} --remote --config=${tmpConfig}`, {
           stdio: 'inherit'
         });
       } catch (error) {
         console.error(`  Migration failed for ${dbName}`);
+        if (cloneSource) {
+          await discardNew();
+        }
         process.exit(1);
       }
     }
 
-    // Run seed.sql if present
-    const seedFile = path.join(process.cwd(), 'seed.sql');
-    if (fs.existsSync(seedFile)) {
-      console.log(`  Running seed.sql for ${dbName}`);
+    // Clone data into a new database; without migrations the schema is cloned too
+    if (cloneSource) {
+      console.log(`  Cloning data from ${cloneSource.label} into ${dbName}`);
+      const cloneFile = path.join(process.cwd(), '.branch-wrangler-clone.sql');
+      let cloneError = null;
       try {
-        execSync(`npx wrangler d1 execute ${dbName} --remote --file=${seedFile} --config=${tmpConfig}`, {
-          stdio: 'inherit'
-        });
+        // Each chunk is written and executed before the next is built, so the data is never all in memory
+        const chunks = buildCloneSql(provider, cloneSource, clone, { includeSchema: !fs.existsSync(migrationsDir) });
+        for await (const sql of chunks) {
+          fs.writeFileSync(cloneFile, sql);
+          execSync(`npx wrangler d1 execute ${dbName} --remote --file=${cloneFile} --config=${tmpConfig}`, {
+            stdio: 'inherit'
+          });
+        }
       } catch (error) {
-        console.error(`  Seed failed for ${dbName}`);
+        cloneError = error;
+      }
+      // The file holds source data, so remove it before exiting on failure
+      if (fs.existsSync(cloneFile)) {
+        fs.unlinkSync(cloneFile);
+      }
+      if (cloneError) {
+        console.error(`  Data clone failed for ${dbName}: ${cloneError.message}`);
+        await discardNew();
         process.exit(1);
       }
+      await onCreated('d1', binding, { id: dbId, name: dbName });
+    }
+
+    // Run seed files in order (cloned databases are never seeded)
+    if (seedCheck.seed) {
+      console.log(`  Seeding ${dbName}: ${seedCheck.reason}`);
+      await runSeedFiles({ id: dbId, name: dbName }, seedFiles, seedHash, tmpConfig, provider);
+    } else if (seedCheck.mark) {
+      console.log(`  Not seeding ${dbName} (${seedCheck.reason}), recording a seed marker for its current data`);
+      try {
+        await recordSeedMarker(provider, { id: dbId, name: dbName }, seedFiles, seedHash);
+      } catch (error) {
+        console.error(`  Failed to record seed marker in ${dbName}: ${error.message}`);
+        process.exit(1);
+      }
+    } else if (seedFiles.length > 0) {
+      console.log(`  Skipping seed files for ${dbName}: ${seedCheck.reason}`);
     }
   } finally {
     // Clean up temp config
-    if (needsTmpConfig && fs.existsSync(tmpConfig)) {
+    if (tmpConfig && fs.existsSync(tmpConfig)) {
       fs.unlinkSync(tmpConfig);
     }
   }
 
-  return { id: dbId, name: dbName };
+  return { id: dbId, name: dbName, created };
+}
+
+/**
+ * Runs a branch database's seed files again, whether or not they ran before
+ * Used by the reseed command. The database isn't created if it's missing, and
+ * bindings that clone their data are left alone.
+ * @param {Object} binding - D1 binding configuration
+ * @param {Object} naming - Branch namer (see naming.js)
+ * @param {string} configFormat - Config format: 'toml' or 'jsonc'
+ * @param {Object} options - Options
+ * @param {Object} options.provider - Resource provider (see provider.js)
+ * @param {Object} [options.settings] - cf-branch-wrangler settings (see branch-config.js)
+ * @returns {Promise<boolean>} Whether the database was seeded
+ */
+async function reseedD1(binding, naming, configFormat, { provider, settings = {} }) {
+  const { name: dbName, found: dbId } = await resolveName(naming, binding.name, name => provider.findD1Database(name));
+  if (!dbId) {
+    console.log(`  D1 database ${dbName} not found, skipping`);
+    return false;
+  }
+
+  let seedFiles = [];
+  try {
+    if (getCloneSettings(settings, binding)) {
+      console.log(`  Binding ${binding.binding} clones its data instead of seeding, skipping`);
+      return false;
+    }
+    seedFiles = resolveSeedFiles(binding, settings);
+  } catch (error) {
+    console.error(`  ${error.message}`);
+    process.exit(1);
+  }
+  if (seedFiles.length === 0) {
+    console.log(`  No seed files for binding ${binding.binding}, skipping`);
+    return false;
+  }
+
+  console.log(`Reseeding D1 database: ${dbName} (${dbId})`);
+  const db = { id: dbId, name: dbName };
+  const tmpConfig = writeTmpD1Config(binding, db, configFormat);
+  try {
+    await runSeedFiles(db, seedFiles, hashSeedFiles(seedFiles), tmpConfig, provider);
+  } finally {
+    if (fs.existsSync(tmpConfig)) {
+      fs.unlinkSync(tmpConfig);
+    }
+  }
+  return true;
 }
 
 /**
  * Provisions an R2 bucket for a branch
+ * A new bucket gets the base bucket's location hint, CORS and lifecycle rules,
+ * and the binding's fixtures if it has any (see r2-fixtures.js). If that
+ * fails, the bucket is removed again.
  * @param {Object} binding - R2 binding configuration
- * @param {string} suffix - Branch suffix (e.g., "-feature-branch")
- * @returns {Object} Bucket info with name
+ * @param {Object} naming - Branch namer (see naming.js)
+ * @param {Object} options - Provisioning options
+ * @param {Object} options.provider - Resource provider (see provider.js)
+ * @param {Object} [options.settings] - cf-branch-wrangler settings (see branch-config.js)
+ * @param {boolean} [options.dryRun] - Only look up the bucket, never create it
+ * @param {Function} [options.onCreated] - Called with (type, binding, resource) once a new resource is in place
+ * @returns {Promise<Object>} Bucket info with name and whether it was (or would be) created
  */
-function provisionR2(binding, suffix) {
-  const bucketName = `${binding.name}${suffix}`;
+async function provisionR2(binding, naming, { provider, settings = {}, dryRun = false, onCreated = async () => {} }) {
+  // Check if bucket exists
+  const resolved = await resolveName(naming, binding.name, name => provider.findR2Bucket(name));
+  const bucketName = resolved.name;
+  const exists = resolved.found;
   console.log(`Provisioning R2 bucket: ${bucketName}`);
 
-  // Check if bucket exists
-  const exists = findR2Bucket(bucketName);
+  let fixtureSettings;
+  try {
+    fixtureSettings = getR2FixtureSettings(settings, binding);
+  } catch (error) {
+    console.error(`  ${error.message}`);
+    process.exit(1);
+  }
+  const { fixtures, copySettings } = fixtureSettings;
+
+  if (dryRun) {
+    console.log(exists
+      ? `  R2 bucket already exists: ${bucketName}`
+      : `  Would create R2 bucket: ${bucketName}`);
+    if (!exists && fixtures) {
+      console.log(`  Would upload fixtures from ${fixtures}`);
+    }
+    return { name: bucketName, created: !exists };
+  }
 
   if (!exists) {
+    // Bucket settings and fixtures only go into new buckets
+    let baseSettings = null;
+    try {
+      baseSettings = copySettings ? await readBucketSettings(provider, binding.name) : null;
+    } catch (error) {
+      console.error(`  Failed to read settings of R2 bucket ${binding.name}: ${error.message}`);
+      process.exit(1);
+    }
+    if (copySettings && !baseSettings) {
+      console.warn(`  Warning: Base R2 bucket ${binding.name} not found, not copying its settings`);
+    }
+
     console.log(`  Creating new R2 bucket: ${bucketName}`);
     try {
-      const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-      const cmd = accountId
-        ? `npx wrangler r2 bucket create ${bucketName} --accountId=${accountId}`
-        : `npx wrangler r2 bucket create ${bucketName}`;
-      execSync(cmd, { stdio: 'inherit' });
+      await provider.createR2Bucket(bucketName, { locationHint: baseSettings ? baseSettings.locationHint : undefined });
     } catch (error) {
-      console.error(`  Failed to create R2 bucket: ${bucketName}`);
+      console.error(`  Failed to create R2 bucket ${bucketName}: ${error.message}`);
       process.exit(1);
     }
+
+    // Settings and fixtures only go into new buckets; if they fail the bucket is removed so the next build starts over
+    try {
+      if (baseSettings) {
+        console.log(`  Copying settings of ${binding.name}`);
+        await applyBucketSettings(provider, bucketName, baseSettings);
+      }
+      if (fixtures) {
+        console.log(`  Uploading fixtures from ${fixtures}`);
+        const count = await uploadFixtures(provider, bucketName, fixtures);
+        console.log(`  Uploaded ${count} object(s) to ${bucketName}`);
+      }
+    } catch (error) {
+      console.error(`  Setting up R2 bucket ${bucketName} failed: ${error.message}`);
+      console.error(`  Removing ${bucketName} so the next build starts over with a new bucket`);
+      try {
+        // Fixtures may be partly uploaded, and a bucket holding objects can't be deleted
+        if (fixtures) {
+          await emptyBucket(provider, null, bucketName);
+        }
+        await provider.deleteR2Bucket(bucketName);
+      } catch (deleteError) {
+        console.error(`  Failed to remove ${bucketName}, delete it before the next build: ${deleteError.message}`);
+        // Still there, so record it for cleanup
+        await onCreated('r2', binding, { name: bucketName });
+      }
+      process.exit(1);
+    }
+    await onCreated('r2', binding, { name: bucketName });
   } else {
     console.log(`  R2 bucket already exists: ${bucketName}`);
   }
 
-  return { name: bucketName };
+  return { name: bucketName, created: !exists };
 }
 
 /**
  * Provisions a KV namespace for a branch
+ * A new namespace is filled with one bulk write if the binding has seed
+ * settings (see kv-seed.js).
  * @param {Object} binding - KV binding configuration
- * @param {string} suffix - Branch suffix (e.g., "-feature-branch")
- * @returns {Object} Namespace info with id
+ * @param {Object} naming - Branch namer (see naming.js)
+ * @param {Object} options - Provisioning options
+ * @param {Object} options.provider - Resource provider (see provider.js)
+ * @param {Object} [options.settings] - cf-branch-wrangler settings (see branch-config.js)
+ * @param {boolean} [options.dryRun] - Only look up the namespace, never create it
+ * @param {Function} [options.onCreated] - Called with (type, binding, resource) once a new resource is in place
+ * @returns {Promise<Object>} Namespace info with id, title and whether it was (or would be) created
  */
-function provisionKV(binding, suffix) {
-  const namespaceName = `${binding.id}${suffix}`;
+async function provisionKV(binding, naming, { provider, settings = {}, dryRun = false, onCreated = async () => {} }) {
+  // Check if namespace exists
+  const resolved = await resolveName(naming, binding.id, name => provider.findKVNamespace(name));
+  const namespaceName = resolved.name;
+  let namespaceId = resolved.found;
+  const created = !namespaceId;
   console.log(`Provisioning KV namespace: ${namespaceName}`);
 
-  // Check if namespace exists
-  let namespaceId = findKVNamespace(namespaceName);
+  let seed = null;
+  try {
+    seed = getKVSeedSettings(settings, binding);
+  } catch (error) {
+    console.error(`  ${error.message}`);
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    console.log(namespaceId
+      ? `  KV namespace already exists: ${namespaceName} (${namespaceId})`
+      : `  Would create KV namespace: ${namespaceName}`);
+    if (seed && created) {
+      const sources = [seed.copy_prefix && `keys with prefix "${seed.copy_prefix}"`, seed.fixture].filter(Boolean);
+      console.log(`  Would seed it from ${sources.join(' and ')}`);
+    }
+    return { id: namespaceId, title: namespaceName, created };
+  }
 
   if (!namespaceId) {
     console.log(`  Creating new KV namespace: ${namespaceName}`);
     try {
-      const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-      const cmd = accountId
-        ? `npx wrangler kv namespace create ${namespaceName} --accountId=${accountId}`
-        : `npx wrangler kv namespace create ${namespaceName}`;
-      const output = execSync(cmd, {
-        stdio: 'pipe',
-        encoding: 'utf-8'
-      });
-      // Extract ID from output: "namespace created with id=\"abc123\""
-      const match = output.match(/id="([a-f0-9]+)"/);
-      if (match) {
-        namespaceId = match[1];
-      }
+      namespaceId = await provider.createKVNamespace(namespaceName);
     } catch (error) {
-      console.error(`  Failed to create KV namespace: ${namespaceName}`);
+      console.error(`  Failed to create KV namespace ${namespaceName}: ${error.message}`);
       process.exit(1);
     }
 
@@ -278,36 +520,247 @@ function provisionKV(binding, suffix) {
     console.log(`  KV namespace already exists: ${namespaceName} (${namespaceId})`);
   }
 
-  return { id: namespaceId };
+  // Seed only new namespaces; if seeding fails the namespace is removed so the next build starts over
+  if (seed && created) {
+    console.log(`  Seeding ${namespaceName}`);
+    try {
+      const entries = await buildKVSeedEntries(provider, binding, seed);
+      if (entries.length > 0) {
+        await provider.putKVEntries(namespaceId, entries);
+      }
+      console.log(`  Wrote ${entries.length} key(s) to ${namespaceName}`);
+    } catch (error) {
+      console.error(`  Seeding KV namespace ${namespaceName} failed: ${error.message}`);
+      try {
+        await provider.deleteKVNamespace(namespaceId);
+      } catch (deleteError) {
+        console.error(`  Failed to remove ${namespaceName}, delete it before the next build: ${deleteError.message}`);
+        // Still there, so record it for cleanup
+        await onCreated('kv', binding, { id: namespaceId, title: namespaceName });
+      }
+      process.exit(1);
+    }
+  }
+  if (created) {
+    await onCreated('kv', binding, { id: namespaceId, title: namespaceName });
+  }
+
+  return { id: namespaceId, title: namespaceName, created };
 }
 
 /**
- * Provisions all resources (D1, R2, KV) for a branch
- * @param {Object} bindings - Object with d1, r2, kv binding arrays
- * @param {string} suffix - Branch suffix (e.g., "-feature-branch")
+ * Provisions a queue for a branch
+ * @param {Object} binding - Queue producer binding configuration
+ * @param {Object} naming - Branch namer (see naming.js)
+ * @param {Object} options - Provisioning options
+ * @param {Object} options.provider - Resource provider (see provider.js)
+ * @param {boolean} [options.dryRun] - Only look up the queue, never create it
+ * @param {Function} [options.onCreated] - Called with (type, binding, resource) once a new resource is in place
+ * @returns {Promise<Object>} Queue info with id, name and whether it was (or would be) created
+ */
+async function provisionQueue(binding, naming, { provider, dryRun = false, onCreated = async () => {} }) {
+  // Check if queue exists
+  const resolved = await resolveName(naming, binding.name, name => provider.findQueue(name));
+  const queueName = resolved.name;
+  let queueId = resolved.found;
+  const created = !queueId;
+  console.log(`Provisioning queue: ${queueName}`);
+
+  if (dryRun) {
+    console.log(queueId
+      ? `  Queue already exists: ${queueName} (${queueId})`
+      : `  Would create queue: ${queueName}`);
+    return { id: queueId, name: queueName, created };
+  }
+
+  if (!queueId) {
+    console.log(`  Creating new queue: ${queueName}`);
+    try {
+      queueId = await provider.createQueue(queueName);
+    } catch (error) {
+      console.error(`  Failed to create queue ${queueName}: ${error.message}`);
+      process.exit(1);
+    }
+    await onCreated('queues', binding, { id: queueId, name: queueName });
+  } else {
+    console.log(`  Queue already exists: ${queueName} (${queueId})`);
+  }
+
+  return { id: queueId, name: queueName, created };
+}
+
+/**
+ * Provisions a Vectorize index for a branch
+ * The index is created with the same dimensions and metric as the base index.
+ * @param {Object} binding - Vectorize binding configuration
+ * @param {Object} naming - Branch namer (see naming.js)
+ * @param {Object} options - Provisioning options
+ * @param {Object} options.provider - Resource provider (see provider.js)
+ * @param {boolean} [options.dryRun] - Only look up the index, never create it
+ * @param {Function} [options.onCreated] - Called with (type, binding, resource) once a new resource is in place
+ * @returns {Promise<Object>} Index info with name and whether it was (or would be) created
+ */
+async function provisionVectorize(binding, naming, { provider, dryRun = false, onCreated = async () => {} }) {
+  // Check if index exists
+  const resolved = await resolveName(naming, binding.name, name => provider.findVectorizeIndex(name));
+  const indexName = resolved.name;
+  const exists = Boolean(resolved.found);
+  console.log(`Provisioning Vectorize index: ${indexName}`);
+
+  if (exists) {
+    console.log(`  Vectorize index already exists: ${indexName}`);
+    return { name: indexName, created: false };
+  }
+
+  // Read dimensions and metric from the base index
+  const base = await provider.findVectorizeIndex(binding.name);
+  if (!base || !base.config) {
+    console.error(`  Base Vectorize index ${binding.name} not found, can't read its dimensions and metric`);
+    process.exit(1);
+  }
+  const { dimensions, metric } = base.config;
+
+  if (dryRun) {
+    console.log(`  Would create Vectorize index: ${indexName} (${dimensions} dimensions, ${metric})`);
+    return { name: indexName, created: true };
+  }
+
+  console.log(`  Creating new Vectorize index: ${indexName} (${dimensions} dimensions, ${metric})`);
+  try {
+    await provider.createVectorizeIndex(indexName, { dimensions, metric });
+  } catch (error) {
+    console.error(`  Failed to create Vectorize index ${indexName}: ${error.message}`);
+    process.exit(1);
+  }
+  await onCreated('vectorize', binding, { name: indexName });
+
+  return { name: indexName, created: true };
+}
+
+/**
+ * Provisions a Hyperdrive config for a branch
+ * The config is cloned from the base config (name and caching settings) but
+ * points at the branch connection string (see hyperdrive.js). Connection
+ * strings are never logged.
+ * @param {Object} binding - Hyperdrive binding configuration
+ * @param {Object} naming - Branch namer (see naming.js)
+ * @param {Object} options - Provisioning options
+ * @param {Object} options.provider - Resource provider (see provider.js)
+ * @param {Object} [options.settings] - cf-branch-wrangler settings (see branch-config.js)
+ * @param {boolean} [options.dryRun] - Only look up the config, never create it
+ * @param {Function} [options.onCreated] - Called with (type, binding, resource) once a new resource is in place
+ * @returns {Promise<Object>} Config info with id, name and whether it was (or would be) created
+ */
+async function provisionHyperdrive(binding, naming, { provider, settings = {}, dryRun = false, onCreated = async () => {} }) {
+  // The wrangler config only holds the ID; the name comes from the base config
+  const base = await provider.getHyperdriveConfig(binding.id);
+  if (!base) {
+    console.error(`  Base Hyperdrive config ${binding.id} (binding ${binding.binding}) not found`);
+    process.exit(1);
+  }
+
+  // Check if config exists
+  const resolved = await resolveName(naming, base.name, name => provider.findHyperdriveConfig(name));
+  const configName = resolved.name;
+  let configId = resolved.found;
+  console.log(`Provisioning Hyperdrive config: ${configName}`);
+
+  if (configId) {
+    console.log(`  Hyperdrive config already exists: ${configName} (${configId})`);
+    return { id: configId, name: configName, created: false };
+  }
+
+  let connection;
+  let origin;
+  try {
+    connection = resolveConnectionString(binding, settings, naming.key);
+    origin = connection && parseConnectionString(connection.connectionString);
+  } catch (error) {
+    console.error(`  ${error.message} (binding ${binding.binding})`);
+    process.exit(1);
+  }
+  if (!connection) {
+    console.error(
+      `  No branch connection string for Hyperdrive binding ${binding.binding}. ` +
+      `Set ${connectionStringEnvVar(binding.binding)} or a connection_string template for the binding.`
+    );
+    process.exit(1);
+  }
+  const target = `${origin.host}:${origin.port}/${origin.database}, from ${connection.source}`;
+
+  if (dryRun) {
+    console.log(`  Would create Hyperdrive config: ${configName} (${target})`);
+    return { id: null, name: configName, created: true };
+  }
+
+  console.log(`  Creating new Hyperdrive config: ${configName} (${target})`);
+  try {
+    configId = await provider.createHyperdriveConfig(configName, { origin, caching: base.caching });
+  } catch (error) {
+    console.error(`  Failed to create Hyperdrive config ${configName}: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!configId) {
+    console.error(`  Failed to retrieve Hyperdrive config ID for ${configName}`);
+    process.exit(1);
+  }
+  await onCreated('hyperdrive', binding, { id: configId, name: configName });
+
+  return { id: configId, name: configName, created: true };
+}
+
+/**
+ * Provisions all resources (D1, R2, KV, Queues, Vectorize, Hyperdrive) for a branch
+ * @param {Object} bindings - Object with d1, r2, kv, queues, vectorize, hyperdrive binding arrays
+ * @param {Object} naming - Branch namer (see naming.js)
  * @param {string} configFormat - Config format: 'toml' or 'jsonc'
- * @returns {Object} Provisioned resources with d1, r2, kv arrays
+ * @param {Object} options - Provisioning options
+ * @param {Object} options.provider - Resource provider (see provider.js)
+ * @param {Object} [options.settings] - cf-branch-wrangler settings (see branch-config.js)
+ * @param {boolean} [options.dryRun] - Discover existing resources without creating anything
+ * @param {Function} [options.onCreated] - Called with (type, binding, resource) as soon as each new resource is in place,
+ *   so a later failure doesn't leave it unrecorded
+ * @returns {Promise<Object>} Provisioned resources with d1, r2, kv, queues, vectorize, hyperdrive arrays
  */
-function provisionAll(bindings, suffix, configFormat) {
+async function provisionAll(bindings, naming, configFormat, options) {
   const result = {
     d1: [],
     r2: [],
-    kv: []
+    kv: [],
+    queues: [],
+    vectorize: [],
+    hyperdrive: []
   };
 
   // Provision D1 databases
   for (const binding of bindings.d1) {
-    result.d1.push(provisionD1(binding, suffix, configFormat));
+    result.d1.push(await provisionD1(binding, naming, configFormat, options));
   }
 
   // Provision R2 buckets
   for (const binding of bindings.r2) {
-    result.r2.push(provisionR2(binding, suffix));
+    result.r2.push(await provisionR2(binding, naming, options));
   }
 
   // Provision KV namespaces
   for (const binding of bindings.kv) {
-    result.kv.push(provisionKV(binding, suffix));
+    result.kv.push(await provisionKV(binding, naming, options));
+  }
+
+  // Provision queues
+  for (const binding of bindings.queues) {
+    result.queues.push(await provisionQueue(binding, naming, options));
+  }
+
+  // Provision Vectorize indexes
+  for (const binding of bindings.vectorize) {
+    result.vectorize.push(await provisionVectorize(binding, naming, options));
+  }
+
+  // Provision Hyperdrive configs
+  for (const binding of bindings.hyperdrive) {
+    result.hyperdrive.push(await provisionHyperdrive(binding, naming, options));
   }
 
   return result;
@@ -315,7 +768,11 @@ function provisionAll(bindings, suffix, configFormat) {
 
 module.exports = {
   provisionD1,
+  reseedD1,
   provisionR2,
   provisionKV,
+  provisionQueue,
+  provisionVectorize,
+  provisionHyperdrive,
   provisionAll
 };
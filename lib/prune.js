@@ -0,0 +1,157 @@
+/**
+ * Prune: deletes resources of branches that no longer exist
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const { getBranchKey, resourceName, legacyResourceName } = require('./naming.js');
+const {
+  createCleanupContext,
+  findResources,
+  filterResources,
+  annotateBucketUsage,
+  printResources,
+  deleteResources
+} = require('./cleanup.js');
+const { getPreviewFallback, resetPreviewBindings } = require('./preview-reset.js');
+const { getCleanupGuard, guardResources } = require('./cleanup-guard.js');
+
+/**
+ * Parses a branch list: one branch per line, blank lines and # comments ignored
+ * Accepts full ref names (refs/heads/...) as well as short names.
+ * @param {string} text - Branch list
+ * @returns {string[]} Branch names
+ */
+function parseBranchList(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.replace(/^refs\/heads\//, ''));
+}
+
+/**
+ * Lists live branches from a git remote, local refs, or a branch list file
+ * @param {Object} source - Where to read branches from
+ * @param {string} [source.remote] - Remote name for git ls-remote (default: origin)
+ * @param {boolean} [source.local] - Use local branches (refs/heads) instead of a remote
+ * @param {string} [source.branchesFile] - Path to a branch list file, or "-" for stdin
+ * @returns {string[]} Branch names
+ */
+function getLiveBranches(source = {}) {
+  if (source.branchesFile) {
+    const text = source.branchesFile === '-'
+      ? fs.readFileSync(0, 'utf-8')
+      : fs.readFileSync(source.branchesFile, 'utf-8');
+    return parseBranchList(text);
+  }
+
+  if (source.local) {
+    const output = execFileSync('git', ['for-each-ref', '--format=%(refname)', 'refs/heads'], { encoding: 'utf-8' });
+    return parseBranchList(output);
+  }
+
+  const remote = source.remote || 'origin';
+  // No shell, and -- so a remote starting with "-" can't pass as an option
+  const output = execFileSync('git', ['ls-remote', '--heads', '--', remote], { encoding: 'utf-8' });
+  // Lines look like: <sha>\trefs/heads/<branch>
+  return parseBranchList(output.split('\n').map(line => line.split('\t')[1] || '').join('\n'));
+}
+
+/**
+ * Builds a predicate telling whether a resource belongs to a live branch
+ * Recorded resources carry their branch key; discovered ones are matched by name.
+ * @param {Object} context - Cleanup context (see cleanup.js)
+ * @param {string[]} branches - Live branch names
+ * @returns {Function} Predicate taking a resource
+ */
+function liveBranchMatcher(context, branches) {
+  const { bindings } = context;
+  const { nameTemplate: template } = context.config;
+
+  const liveKeys = new Set(branches.map(branch => getBranchKey(branch)).filter(Boolean));
+  const baseNames = [
+    ...bindings.d1.map(b => b.name),
+    ...bindings.r2.map(b => b.name),
+    ...bindings.kv.map(b => b.id),
+    ...bindings.queues.map(b => b.name),
+    ...bindings.vectorize.map(b => b.name),
+    ...bindings.hyperdrive.map(b => b.name).filter(Boolean)
+  ];
+  const liveNames = new Set();
+  for (const branch of branches) {
+    for (const baseName of baseNames) {
+      liveNames.add(resourceName(baseName, branch, { template }));
+      liveNames.add(legacyResourceName(baseName, branch));
+    }
+  }
+
+  return resource => (resource.key
+    ? liveKeys.has(resource.key)
+    : liveNames.has(resource.name || resource.title));
+}
+
+/**
+ * Prune entry point
+ * @param {Object} options - Prune options
+ * @param {boolean} options.autoConfirm - Skip interactive prompts
+ * @param {string} [options.remote] - Remote name for git ls-remote
+ * @param {boolean} [options.local] - Use local branches
+ * @param {string} [options.branchesFile] - Branch list file, or "-" for stdin
+ * @param {boolean} [options.discover] - Find resources by name even when a state registry is configured
+ * @param {boolean} [options.emptyBuckets] - Delete the objects in R2 buckets before deleting the buckets
+ * @param {boolean} [options.bucketUsage] - Show the object count and total size of R2 buckets
+ * @param {string} [options.previewFallback] - Fallback for preview bindings of deleted resources (overrides preview_fallback)
+ * @param {string[]} [options.exclude] - Extra exclusion globs for resource names
+ * @param {string} [options.env] - Wrangler environment (overrides CF_BRANCH_WRANGLER_ENV)
+ */
+async function prune(options = {}) {
+  const { autoConfirm = false, discover = false, emptyBuckets = false, bucketUsage = false } = options;
+
+  console.log('cf-branch-wrangler: Starting prune');
+
+  if (options.branchesFile === '-' && !autoConfirm) {
+    throw new Error('Reading branches from stdin requires --confirm (stdin is not available for prompts)');
+  }
+
+  const context = await createCleanupContext({ env: options.env });
+  const fallback = getPreviewFallback(context.settings, options.previewFallback, context.config.productionBranch);
+  const guard = getCleanupGuard(context.settings, options.exclude);
+
+  const branches = getLiveBranches(options);
+  if (branches.length === 0) {
+    // An empty list would select every branch resource - almost certainly a mistake
+    throw new Error('No live branches found. Refusing to prune.');
+  }
+  console.log(`Found ${branches.length} live branch(es)`);
+
+  const isLive = liveBranchMatcher(context, branches);
+  const unused = filterResources(
+    await findResources(context, { branch: null, discover }),
+    resource => !isLive(resource)
+  );
+  const resources = await guardResources(context, unused, guard, { branch: null });
+
+  if (bucketUsage || emptyBuckets) {
+    await annotateBucketUsage(context, resources.r2);
+  }
+
+  if (printResources(resources) === 0) {
+    console.log('No resources of deleted branches found. Nothing to prune.');
+    return;
+  }
+
+  const { deletedCount, skippedCount, deleted } = await deleteResources(context, resources, { autoConfirm, emptyBuckets });
+  if (deletedCount > 0) {
+    await resetPreviewBindings(context, deleted, fallback);
+  }
+
+  console.log(`\ncf-branch-wrangler prune: Done (${deletedCount} deleted, ${skippedCount} skipped)`);
+}
+
+module.exports = {
+  parseBranchList,
+  getLiveBranches,
+  liveBranchMatcher,
+  prune
+};
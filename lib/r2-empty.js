@@ -0,0 +1,112 @@
+/**
+ * Emptying R2 buckets so cleanup can delete them
+ * Objects are listed through the provider. With R2 access keys configured
+ * (see r2-s3.js), they are deleted with S3 DeleteObjects, 1000 per request,
+ * and in-progress multipart uploads, which only the S3 API can list, are
+ * aborted. Without the keys, objects are deleted one request each through the
+ * provider and uploads are left alone.
+ */
+
+const { createR2S3Client } = require('./r2-s3.js');
+
+/**
+ * Formats a byte count for humans
+ * @param {number} bytes - Byte count
+ * @returns {string} Size such as "3.4 MB"
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Creates the S3 client for deleting objects and aborting multipart uploads, if R2 access keys are configured
+ * @param {Object} config - Configuration (see config.js)
+ * @returns {Object|null} S3 client, or null without access keys or a way to reach the endpoint
+ */
+function createS3Client(config) {
+  if (!config.r2AccessKeyId || !config.r2SecretAccessKey) return null;
+
+  const endpoint = config.r2Endpoint ||
+    (config.accountId ? `https://${config.accountId}.r2.cloudflarestorage.com` : null);
+  if (!endpoint) {
+    console.warn('Warning: R2 access keys set but no account ID or R2 endpoint, not using the S3 API');
+    return null;
+  }
+
+  return createR2S3Client({
+    accessKeyId: config.r2AccessKeyId,
+    secretAccessKey: config.r2SecretAccessKey,
+    endpoint
+  });
+}
+
+/**
+ * Counts the objects in a bucket and adds up their sizes
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {string} bucket - Bucket name
+ * @returns {Promise<{objects: number, bytes: number}>} Usage
+ */
+async function getBucketUsage(provider, bucket) {
+  let objects = 0;
+  let bytes = 0;
+  let cursor;
+  do {
+    const page = await provider.listR2Objects(bucket, { cursor });
+    objects += page.objects.length;
+    bytes += page.objects.reduce((sum, object) => sum + (object.size || 0), 0);
+    cursor = page.cursor;
+  } while (cursor);
+  return { objects, bytes };
+}
+
+/**
+ * Deletes every object in a bucket and aborts its multipart uploads
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {Object|null} s3 - S3 client from createS3Client, or null to delete objects through the provider
+ *   and leave uploads alone
+ * @param {string} bucket - Bucket name
+ * @returns {Promise<{objects: number, uploads: number}>} Number of objects deleted and uploads aborted
+ */
+async function emptyBucket(provider, s3, bucket) {
+  // Deleting shifts the listing, so always take the first page until none is left
+  let objects = 0;
+  for (;;) {
+    const page = await provider.listR2Objects(bucket);
+    if (page.objects.length === 0) break;
+    const keys = page.objects.map(object => object.key);
+    if (s3) {
+      await s3.deleteObjects(bucket, keys);
+    } else {
+      await provider.deleteR2Objects(bucket, keys);
+    }
+    objects += page.objects.length;
+    console.log(`    Deleted ${objects} object(s) from ${bucket}`);
+  }
+
+  let uploads = 0;
+  if (s3) {
+    for (const upload of await s3.listMultipartUploads(bucket)) {
+      await s3.abortMultipartUpload(bucket, upload.key, upload.uploadId);
+      uploads++;
+    }
+    if (uploads > 0) {
+      console.log(`    Aborted ${uploads} multipart upload(s) in ${bucket}`);
+    }
+  }
+
+  return { objects, uploads };
+}
+
+module.exports = {
+  formatBytes,
+  createS3Client,
+  getBucketUsage,
+  emptyBucket
+};
@@ -0,0 +1,151 @@
+/**
+ * Filling new branch R2 buckets: base bucket settings and local fixtures
+ * Configured per R2 binding in the cf-branch-wrangler settings:
+ *   [branch_wrangler.bindings.ASSETS]
+ *   fixtures = "fixtures/assets"     # upload this directory tree into new branch buckets
+ *   copy_settings = false            # don't copy CORS, lifecycle rules and location hint (default: copy)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { filesIn } = require('./kv-seed.js');
+
+// Content types by file extension; anything else is uploaded as application/octet-stream
+const CONTENT_TYPES = {
+  '.avif': 'image/avif',
+  '.css': 'text/css',
+  '.csv': 'text/csv',
+  '.gif': 'image/gif',
+  '.gz': 'application/gzip',
+  '.htm': 'text/html',
+  '.html': 'text/html',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.md': 'text/markdown',
+  '.mjs': 'text/javascript',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.otf': 'font/otf',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ttf': 'font/ttf',
+  '.txt': 'text/plain',
+  '.wasm': 'application/wasm',
+  '.wav': 'audio/wav',
+  '.webm': 'video/webm',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.zip': 'application/zip'
+};
+
+/**
+ * Reads and validates the fixture settings of an R2 binding
+ * @param {Object} settings - cf-branch-wrangler settings (see branch-config.js)
+ * @param {Object} binding - R2 binding configuration
+ * @returns {{ fixtures: string|null, copySettings: boolean }} Fixture directory and whether to copy bucket settings
+ * @throws {Error} If the settings are invalid
+ */
+function getR2FixtureSettings(settings, binding) {
+  const bindingSettings = (settings.bindings || {})[binding.binding];
+  const fixtures = (bindingSettings && bindingSettings.fixtures) || null;
+  const copySettings = bindingSettings && bindingSettings.copy_settings;
+
+  if (fixtures !== null) {
+    const fixturesPath = path.resolve(process.cwd(), fixtures);
+    if (!fs.existsSync(fixturesPath) || !fs.statSync(fixturesPath).isDirectory()) {
+      throw new Error(`Fixtures directory ${fixtures} for binding ${binding.binding} not found`);
+    }
+  }
+  if (copySettings !== undefined && typeof copySettings !== 'boolean') {
+    throw new Error(`copy_settings for binding ${binding.binding} must be true or false`);
+  }
+
+  return { fixtures, copySettings: copySettings !== false };
+}
+
+/**
+ * Infers the content type of a file from its extension
+ * @param {string} file - File path
+ * @returns {string} Content type
+ */
+function contentTypeFor(file) {
+  return CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Reads the base bucket settings a branch bucket should copy
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {string} name - Base bucket name
+ * @returns {Promise<Object|null>} { locationHint, cors, lifecycle }, where cors and lifecycle are rule
+ *   lists or null if the backend can't read them; null if the base bucket doesn't exist
+ */
+async function readBucketSettings(provider, name) {
+  const bucket = await provider.getR2Bucket(name);
+  if (!bucket) return null;
+
+  return {
+    // Buckets report their location in upper case, location hints are lower case
+    locationHint: bucket.location ? bucket.location.toLowerCase() : undefined,
+    cors: await provider.getR2BucketCors(name),
+    lifecycle: await provider.getR2BucketLifecycle(name)
+  };
+}
+
+/**
+ * Applies CORS and lifecycle rules read from the base bucket
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {string} name - Branch bucket name
+ * @param {Object} bucketSettings - Settings from readBucketSettings
+ */
+async function applyBucketSettings(provider, name, bucketSettings) {
+  if (bucketSettings.cors === null || bucketSettings.lifecycle === null) {
+    console.log('    This backend can\'t read CORS and lifecycle rules, not copying them');
+  }
+  if (bucketSettings.cors && bucketSettings.cors.length > 0) {
+    await provider.putR2BucketCors(name, bucketSettings.cors);
+    console.log(`    Copied ${bucketSettings.cors.length} CORS rule(s)`);
+  }
+  if (bucketSettings.lifecycle && bucketSettings.lifecycle.length > 0) {
+    await provider.putR2BucketLifecycle(name, bucketSettings.lifecycle);
+    console.log(`    Copied ${bucketSettings.lifecycle.length} lifecycle rule(s)`);
+  }
+}
+
+/**
+ * Uploads a fixture directory tree into a bucket
+ * Each file becomes one object, keyed by its path below the directory (with / separators).
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @param {string} bucket - Bucket name
+ * @param {string} fixtures - Fixture directory, relative to the working directory
+ * @returns {Promise<number>} Number of objects uploaded
+ */
+async function uploadFixtures(provider, bucket, fixtures) {
+  const dir = path.resolve(process.cwd(), fixtures);
+  const files = filesIn(dir);
+
+  for (const [i, file] of files.entries()) {
+    const key = path.relative(dir, file).split(path.sep).join('/');
+    await provider.putR2Object(bucket, key, file, contentTypeFor(file));
+    if ((i + 1) % 100 === 0) {
+      console.log(`    Uploaded ${i + 1} of ${files.length} objects`);
+    }
+  }
+  return files.length;
+}
+
+module.exports = {
+  getR2FixtureSettings,
+  contentTypeFor,
+  readBucketSettings,
+  applyBucketSettings,
+  uploadFixtures
+};
@@ -0,0 +1,210 @@
+/**
+ * Minimal client for the S3-compatible R2 API
+ * Used where the Cloudflare REST API falls short: it can't list in-progress
+ * multipart uploads, and deletes objects one request at a time where
+ * DeleteObjects takes up to 1000. Needs R2 access keys rather than an API
+ * token; requests are signed with AWS Signature Version 4.
+ */
+
+const crypto = require('crypto');
+
+// Most keys a DeleteObjects request takes
+const DELETE_OBJECTS_MAX = 1000;
+
+/**
+ * Percent-encodes a string as S3 expects (RFC 3986)
+ * @param {string} value - Value
+ * @returns {string} Encoded value
+ */
+function s3Encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Computes a SHA-256 hex digest
+ * @param {string} value - Value
+ * @returns {string} Digest
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Computes an HMAC-SHA256
+ * @param {string|Buffer} key - Key
+ * @param {string} value - Value
+ * @returns {Buffer} MAC
+ */
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+/**
+ * Escapes text for an XML element
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function xmlEscape(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Reads the text of every element with a tag from an XML document
+ * @param {string} xml - XML text
+ * @param {string} tag - Element name
+ * @returns {string[]} Unescaped element texts
+ */
+function xmlValues(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&'));
+}
+
+/**
+ * Creates an S3 API client for the R2 buckets of an account
+ * @param {Object} options - Client options
+ * @param {string} options.accessKeyId - R2 access key ID
+ * @param {string} options.secretAccessKey - R2 secret access key
+ * @param {string} options.endpoint - S3 endpoint, e.g. https://<account-id>.r2.cloudflarestorage.com
+ * @returns {Object} Client with deleteObjects/listMultipartUploads/abortMultipartUpload
+ */
+function createR2S3Client({ accessKeyId, secretAccessKey, endpoint }) {
+  /**
+   * Sends a signed request
+   * @param {string} method - HTTP method
+   * @param {string} bucket - Bucket name
+   * @param {string|null} key - Object key, or null for a bucket request
+   * @param {Object} [query] - Query string parameters
+   * @param {string} [body] - Request body (XML)
+   * @returns {Promise<string>} Response body
+   */
+  async function request(method, bucket, key, query = {}, body = '') {
+    const url = new URL(endpoint);
+    const basePath = url.pathname.replace(/\/$/, '');
+    const canonicalUri = `${basePath}/${s3Encode(bucket)}${key !== null ? `/${key.split('/').map(s3Encode).join('/')}` : ''}`;
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map(name => `${s3Encode(name)}=${s3Encode(query[name])}`)
+      .join('&');
+
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256(body);
+    const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+    const canonicalRequest = [
+      method,
+      canonicalUri,
+      canonicalQuery,
+      `host:${url.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/auto/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['auto', 's3', 'aws4_request'].reduce(hmac, hmac(`AWS4${secretAccessKey}`, dateStamp));
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    const headers = {
+      'Authorization': `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (body) {
+      // DeleteObjects requires an MD5 of the body
+      headers['Content-MD5'] = crypto.createHash('md5').update(body).digest('base64');
+      headers['Content-Type'] = 'application/xml';
+    }
+
+    const response = await fetch(`${url.origin}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ''}`, {
+      method,
+      headers,
+      body: body || undefined
+    });
+    const text = await response.text();
+
+    if (!response.ok) {
+      const code = xmlValues(text, 'Code')[0];
+      const error = new Error(`R2 S3 API error: ${method} ${bucket} ${response.status}${code ? ` - ${code}` : ''}`);
+      error.status = response.status;
+      throw error;
+    }
+    return text;
+  }
+
+  return {
+    /**
+     * Deletes objects, up to DELETE_OBJECTS_MAX per request
+     * Keys that don't exist count as deleted.
+     * @param {string} bucket - Bucket name
+     * @param {string[]} keys - Object keys
+     * @throws {Error} If any object couldn't be deleted
+     */
+    async deleteObjects(bucket, keys) {
+      for (let i = 0; i < keys.length; i += DELETE_OBJECTS_MAX) {
+        const objects = keys.slice(i, i + DELETE_OBJECTS_MAX)
+          .map(key => `<Object><Key>${xmlEscape(key)}</Key></Object>`)
+          .join('');
+        // Quiet mode only reports the keys that failed
+        const xml = await request(
+          'POST',
+          bucket,
+          null,
+          { delete: '' },
+          `<Delete><Quiet>true</Quiet>${objects}</Delete>`
+        );
+
+        const errors = xmlValues(xml, 'Error');
+        if (errors.length > 0) {
+          const first = `${xmlValues(errors[0], 'Key')[0]} (${xmlValues(errors[0], 'Code')[0]})`;
+          throw new Error(`R2 S3 API error: failed to delete ${errors.length} object(s) from ${bucket}, e.g. ${first}`);
+        }
+      }
+    },
+
+    /**
+     * Lists a bucket's in-progress multipart uploads
+     * @param {string} bucket - Bucket name
+     * @returns {Promise<Array<{key: string, uploadId: string}>>} Uploads
+     */
+    async listMultipartUploads(bucket) {
+      const uploads = [];
+      let markers = {};
+      for (;;) {
+        const xml = await request('GET', bucket, null, { uploads: '', ...markers });
+        for (const upload of xmlValues(xml, 'Upload')) {
+          uploads.push({ key: xmlValues(upload, 'Key')[0], uploadId: xmlValues(upload, 'UploadId')[0] });
+        }
+        if (xmlValues(xml, 'IsTruncated')[0] !== 'true') break;
+        markers = {
+          'key-marker': xmlValues(xml, 'NextKeyMarker')[0] || '',
+          'upload-id-marker': xmlValues(xml, 'NextUploadIdMarker')[0] || ''
+        };
+      }
+      return uploads;
+    },
+
+    /**
+     * Aborts a multipart upload
+     * @param {string} bucket - Bucket name
+     * @param {string} key - Object key
+     * @param {string} uploadId - Upload ID
+     */
+    async abortMultipartUpload(bucket, key, uploadId) {
+      await request('DELETE', bucket, key, { uploadId });
+    }
+  };
+}
+
+module.exports = {
+  createR2S3Client
+};
@@ -0,0 +1,73 @@
+/**
+ * Reseed: runs the seed files of a branch's D1 databases again
+ */
+
+const { getEnv } = require('./config.js');
+const { parseWranglerConfig, extractBindings } = require('./toml-parser.js');
+const { isProductionBranch } = require('./branch-sanitizer.js');
+const { createNaming } = require('./naming.js');
+const { loadBranchConfig } = require('./branch-config.js');
+const { getBindingPolicies, partitionBindings } = require('./policy.js');
+const { createProvider } = require('./provider.js');
+const { reseedD1 } = require('./provisioner.js');
+
+/**
+ * Reseed entry point
+ * Only isolated D1 bindings are reseeded; shared databases are never touched.
+ * @param {Object} options - Reseed options
+ * @param {string} [options.branch] - Branch whose databases to reseed (defaults to CF_PAGES_BRANCH)
+ * @param {string} [options.binding] - Only reseed this D1 binding
+ * @param {string} [options.env] - Wrangler environment (overrides CF_BRANCH_WRANGLER_ENV)
+ */
+async function reseed(options = {}) {
+  console.log('cf-branch-wrangler: Starting reseed');
+
+  // API token is optional here - without one we fall back to the wrangler CLI and its own auth
+  const config = getEnv({ requireApiToken: false });
+  if (options.env) {
+    config.environment = options.env;
+  }
+
+  const branch = options.branch || config.branch;
+  if (!branch) {
+    throw new Error('No branch given. Use --branch <name> or set CF_PAGES_BRANCH.');
+  }
+  if (isProductionBranch(branch, config.productionBranch)) {
+    throw new Error(`Branch "${branch}" is the production branch, which has no branch databases to reseed`);
+  }
+
+  console.log('Parsing wrangler config');
+  const { config: wranglerConfig, format: configFormat } = parseWranglerConfig();
+  const bindings = extractBindings(wranglerConfig, config.environment);
+  const { settings } = loadBranchConfig(wranglerConfig);
+  const { isolate } = partitionBindings(bindings, getBindingPolicies(settings, bindings));
+
+  let selected = isolate.d1;
+  if (options.binding) {
+    selected = selected.filter(b => b.binding === options.binding);
+    if (selected.length === 0) {
+      throw new Error(`${options.binding} is not an isolated D1 binding in the wrangler config`);
+    }
+  }
+  if (selected.length === 0) {
+    console.log('No isolated D1 bindings found. Nothing to reseed.');
+    return;
+  }
+
+  const naming = createNaming(branch, { template: config.nameTemplate });
+  console.log(`Branch: ${branch} (key "${naming.key}")`);
+
+  const provider = await createProvider(config);
+  let seededCount = 0;
+  for (const binding of selected) {
+    if (await reseedD1(binding, naming, configFormat, { provider, settings })) {
+      seededCount++;
+    }
+  }
+
+  console.log(`\ncf-branch-wrangler reseed: Done (${seededCount} of ${selected.length} database(s) reseeded)`);
+}
+
+module.exports = {
+  reseed
+};
@@ -0,0 +1,334 @@
+/**
+ * Resource backend using the Cloudflare REST API
+ */
+
+const fs = require('fs');
+const { cfRequest } = require('./api-client.js');
+
+const PAGE_SIZE = 100;
+
+// Most key-value pairs per KV bulk write
+const KV_BULK_LIMIT = 10000;
+
+// R2 objects deleted in parallel
+const R2_DELETE_BATCH = 20;
+
+/**
+ * Fetches every page of a page-numbered list endpoint
+ * @param {string} apiToken - Cloudflare API bearer token
+ * @param {string} pathname - List endpoint path
+ * @returns {Promise<Array>} All results across pages
+ */
+async function listAllPages(apiToken, pathname) {
+  const results = [];
+
+  for (let page = 1; ; page++) {
+    const data = await cfRequest(apiToken, 'GET', pathname, {
+      query: { page, per_page: PAGE_SIZE }
+    });
+    const items = data.result || [];
+    results.push(...items);
+
+    const info = data.result_info || {};
+    const total = info.total_count;
+    if (items.length < PAGE_SIZE || (total !== undefined && results.length >= total)) {
+      break;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Creates a provider that manages D1, R2, KV, Queues, Vectorize and Hyperdrive resources via the REST API,
+ * and looks up Workers and their Durable Object namespaces
+ * @param {Object} options - Provider options
+ * @param {string} options.apiToken - Cloudflare API bearer token
+ * @param {string} options.accountId - Cloudflare Account ID
+ * @returns {Object} Provider implementing the list/find/create/delete interface
+ */
+function createRestProvider({ apiToken, accountId }) {
+  const accountPath = `/accounts/${accountId}`;
+
+  async function listD1Databases() {
+    return listAllPages(apiToken, `${accountPath}/d1/database`);
+  }
+
+  async function listR2Buckets() {
+    // R2 paginates with a cursor rather than page numbers
+    const buckets = [];
+    let cursor;
+    do {
+      const data = await cfRequest(apiToken, 'GET', `${accountPath}/r2/buckets`, {
+        query: { per_page: 1000, cursor }
+      });
+      buckets.push(...((data.result && data.result.buckets) || []));
+      cursor = data.result_info && data.result_info.cursor;
+    } while (cursor);
+    return buckets;
+  }
+
+  async function listKVNamespaces() {
+    return listAllPages(apiToken, `${accountPath}/storage/kv/namespaces`);
+  }
+
+  async function listQueues() {
+    return listAllPages(apiToken, `${accountPath}/queues`);
+  }
+
+  async function listVectorizeIndexes() {
+    // Not paginated
+    const data = await cfRequest(apiToken, 'GET', `${accountPath}/vectorize/v2/indexes`);
+    return data.result || [];
+  }
+
+  async function listHyperdriveConfigs() {
+    // Not paginated; origin passwords are never returned
+    const data = await cfRequest(apiToken, 'GET', `${accountPath}/hyperdrive/configs`);
+    return data.result || [];
+  }
+
+  return {
+    name: 'api',
+
+    listD1Databases,
+
+    async findD1Database(name) {
+      const found = (await listD1Databases()).find(db => db.name === name);
+      return found ? found.uuid : null;
+    },
+
+    async createD1Database(name) {
+      const data = await cfRequest(apiToken, 'POST', `${accountPath}/d1/database`, {
+        body: { name }
+      });
+      return data.result.uuid;
+    },
+
+    async deleteD1Database({ id }) {
+      await cfRequest(apiToken, 'DELETE', `${accountPath}/d1/database/${id}`);
+    },
+
+    async queryD1({ id }, sql) {
+      const data = await cfRequest(apiToken, 'POST', `${accountPath}/d1/database/${id}/query`, {
+        body: { sql }
+      });
+      return (data.result && data.result[0] && data.result[0].results) || [];
+    },
+
+    async restoreD1Bookmark({ id }, bookmark) {
+      await cfRequest(apiToken, 'POST', `${accountPath}/d1/database/${id}/time_travel/restore`, {
+        query: { bookmark }
+      });
+    },
+
+    listR2Buckets,
+
+    async findR2Bucket(name) {
+      return (await listR2Buckets()).some(bucket => bucket.name === name);
+    },
+
+    async createR2Bucket(name, { locationHint } = {}) {
+      await cfRequest(apiToken, 'POST', `${accountPath}/r2/buckets`, {
+        body: { name, locationHint }
+      });
+    },
+
+    async getR2Bucket(name) {
+      try {
+        const data = await cfRequest(apiToken, 'GET', `${accountPath}/r2/buckets/${name}`);
+        return data.result;
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+
+    async getR2BucketCors(name) {
+      // Buckets without a CORS policy answer 404
+      try {
+        const data = await cfRequest(apiToken, 'GET', `${accountPath}/r2/buckets/${name}/cors`);
+        return (data.result && data.result.rules) || [];
+      } catch (error) {
+        if (error.status === 404) return [];
+        throw error;
+      }
+    },
+
+    async putR2BucketCors(name, rules) {
+      await cfRequest(apiToken, 'PUT', `${accountPath}/r2/buckets/${name}/cors`, {
+        body: { rules }
+      });
+    },
+
+    async getR2BucketLifecycle(name) {
+      // Like CORS, a bucket without lifecycle rules may answer 404
+      try {
+        const data = await cfRequest(apiToken, 'GET', `${accountPath}/r2/buckets/${name}/lifecycle`);
+        return (data.result && data.result.rules) || [];
+      } catch (error) {
+        if (error.status === 404) return [];
+        throw error;
+      }
+    },
+
+    async putR2BucketLifecycle(name, rules) {
+      await cfRequest(apiToken, 'PUT', `${accountPath}/r2/buckets/${name}/lifecycle`, {
+        body: { rules }
+      });
+    },
+
+    async putR2Object(bucket, key, file, contentType) {
+      await cfRequest(apiToken, 'PUT', `${accountPath}/r2/buckets/${bucket}/objects/${encodeURIComponent(key)}`, {
+        rawBody: fs.readFileSync(file),
+        contentType
+      });
+    },
+
+    async listR2Objects(bucket, { cursor } = {}) {
+      const data = await cfRequest(apiToken, 'GET', `${accountPath}/r2/buckets/${bucket}/objects`, {
+        query: { per_page: 1000, cursor }
+      });
+      const info = data.result_info || {};
+      return {
+        objects: (data.result || []).map(object => ({ key: object.key, size: object.size })),
+        cursor: info.is_truncated ? info.cursor : null
+      };
+    },
+
+    async deleteR2Objects(bucket, keys) {
+      // One request per object, a batch at a time (with R2 access keys, cleanup uses S3 DeleteObjects instead)
+      for (let i = 0; i < keys.length; i += R2_DELETE_BATCH) {
+        await Promise.all(keys.slice(i, i + R2_DELETE_BATCH).map(async (key) => {
+          try {
+            await cfRequest(apiToken, 'DELETE', `${accountPath}/r2/buckets/${bucket}/objects/${encodeURIComponent(key)}`);
+          } catch (error) {
+            if (error.status !== 404) throw error;
+          }
+        }));
+      }
+    },
+
+    async deleteR2Bucket(name) {
+      await cfRequest(apiToken, 'DELETE', `${accountPath}/r2/buckets/${name}`);
+    },
+
+    listKVNamespaces,
+
+    async findKVNamespace(title) {
+      const found = (await listKVNamespaces()).find(ns => ns.title === title);
+      return found ? found.id : null;
+    },
+
+    async createKVNamespace(title) {
+      const data = await cfRequest(apiToken, 'POST', `${accountPath}/storage/kv/namespaces`, {
+        body: { title }
+      });
+      return data.result.id;
+    },
+
+    async deleteKVNamespace(id) {
+      await cfRequest(apiToken, 'DELETE', `${accountPath}/storage/kv/namespaces/${id}`);
+    },
+
+    async listKVKeys(namespaceId, prefix) {
+      // Keys are listed with a cursor, 1000 at a time
+      const keys = [];
+      let cursor;
+      do {
+        const data = await cfRequest(apiToken, 'GET', `${accountPath}/storage/kv/namespaces/${namespaceId}/keys`, {
+          query: { prefix, limit: 1000, cursor }
+        });
+        keys.push(...(data.result || []));
+        cursor = data.result_info && data.result_info.cursor;
+      } while (cursor);
+      return keys;
+    },
+
+    async getKVValue(namespaceId, key) {
+      return cfRequest(
+        apiToken,
+        'GET',
+        `${accountPath}/storage/kv/namespaces/${namespaceId}/values/${encodeURIComponent(key)}`,
+        { raw: true }
+      );
+    },
+
+    async putKVEntries(namespaceId, entries) {
+      // Bulk writes take at most 10,000 pairs per request
+      for (let i = 0; i < entries.length; i += KV_BULK_LIMIT) {
+        await cfRequest(apiToken, 'PUT', `${accountPath}/storage/kv/namespaces/${namespaceId}/bulk`, {
+          body: entries.slice(i, i + KV_BULK_LIMIT)
+        });
+      }
+    },
+
+    listQueues,
+
+    async findQueue(name) {
+      const found = (await listQueues()).find(queue => queue.queue_name === name);
+      return found ? found.queue_id : null;
+    },
+
+    async createQueue(name) {
+      const data = await cfRequest(apiToken, 'POST', `${accountPath}/queues`, {
+        body: { queue_name: name }
+      });
+      return data.result.queue_id;
+    },
+
+    async deleteQueue({ id }) {
+      await cfRequest(apiToken, 'DELETE', `${accountPath}/queues/${id}`);
+    },
+
+    listVectorizeIndexes,
+
+    async findVectorizeIndex(name) {
+      return (await listVectorizeIndexes()).find(index => index.name === name) || null;
+    },
+
+    async createVectorizeIndex(name, { dimensions, metric }) {
+      await cfRequest(apiToken, 'POST', `${accountPath}/vectorize/v2/indexes`, {
+        body: { name, config: { dimensions, metric } }
+      });
+    },
+
+    async deleteVectorizeIndex(name) {
+      await cfRequest(apiToken, 'DELETE', `${accountPath}/vectorize/v2/indexes/${name}`);
+    },
+
+    listHyperdriveConfigs,
+
+    async getHyperdriveConfig(id) {
+      return (await listHyperdriveConfigs()).find(config => config.id === id) || null;
+    },
+
+    async findHyperdriveConfig(name) {
+      const found = (await listHyperdriveConfigs()).find(config => config.name === name);
+      return found ? found.id : null;
+    },
+
+    async createHyperdriveConfig(name, { origin, caching }) {
+      const data = await cfRequest(apiToken, 'POST', `${accountPath}/hyperdrive/configs`, {
+        body: { name, origin, caching }
+      });
+      return data.result.id;
+    },
+
+    async deleteHyperdriveConfig(id) {
+      await cfRequest(apiToken, 'DELETE', `${accountPath}/hyperdrive/configs/${id}`);
+    },
+
+    async findWorker(name) {
+      // Not paginated; the script name is its id
+      const data = await cfRequest(apiToken, 'GET', `${accountPath}/workers/scripts`);
+      return (data.result || []).some(script => script.id === name);
+    },
+
+    async listDurableObjectNamespaces() {
+      return listAllPages(apiToken, `${accountPath}/workers/durable_objects/namespaces`);
+    }
+  };
+}
+
+module.exports = { createRestProvider };
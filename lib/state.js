@@ -0,0 +1,229 @@
+/**
+ * Provisioning state registry: records which resources each branch owns
+ * One record per branch, keyed by project and branch key (see naming.js):
+ *   state/<project>/<branch-key> -> { branch, key, resources: [...], timestamps }
+ */
+
+const { getEnv } = require('./config.js');
+const { parseWranglerConfig } = require('./toml-parser.js');
+const { getBranchKey } = require('./naming.js');
+const { fetchAccountId } = require('./api-client.js');
+const { parseStorageSpec, createStorage } = require('./storage.js');
+
+const TYPE_LABELS = { d1: 'D1', r2: 'R2', kv: 'KV', queues: 'Queue', vectorize: 'Vectorize', hyperdrive: 'Hyperdrive' };
+
+/**
+ * Identifies a resource within a branch record
+ * @param {Object} resource - Resource entry
+ * @returns {string} Identity key
+ */
+function resourceKey(resource) {
+  return `${resource.type}:${resource.name}`;
+}
+
+/**
+ * Converts a provisioned resource into a registry resource entry
+ * @param {string} type - Resource type: d1, r2, kv, queues, vectorize or hyperdrive
+ * @param {Object} binding - Binding the resource was provisioned for
+ * @param {Object} resource - Provisioned resource (KV namespaces have a title instead of a name)
+ * @returns {Object} Resource entry { type, binding, name, id }
+ */
+function toStateResource(type, binding, resource) {
+  const entry = { type, binding: binding.binding, name: type === 'kv' ? resource.title : resource.name };
+  if (['d1', 'kv', 'queues', 'hyperdrive'].includes(type)) {
+    entry.id = resource.id;
+  }
+  return entry;
+}
+
+/**
+ * Converts provisioning results into registry resource entries
+ * @param {Object} bindings - Bindings extracted from the wrangler config
+ * @param {Object} provisioned - Provisioned resources with d1, r2, kv, queues, vectorize, hyperdrive arrays
+ * @returns {Array<Object>} Resource entries { type, binding, name, id }
+ */
+function toStateResources(bindings, provisioned) {
+  return ['d1', 'r2', 'kv', 'queues', 'vectorize', 'hyperdrive']
+    .flatMap(type => bindings[type].map((b, i) => toStateResource(type, b, provisioned[type][i])));
+}
+
+/**
+ * Groups a branch record's resources by type, in the shape cleanup works with
+ * @param {Object} record - Branch record from the registry
+ * @returns {Object} { d1: [{name, id}], r2: [{name}], kv: [{id, title}], queues: [{name, id}],
+ *   vectorize: [{name}], hyperdrive: [{name, id}] }, each tagged with the
+ *   branch key and its recorded timestamps
+ */
+function groupByType(record) {
+  const grouped = { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] };
+  for (const resource of record.resources) {
+    const owner = {
+      key: record.key,
+      branch: record.branch,
+      created_at: resource.created_at,
+      last_provisioned_at: resource.last_provisioned_at || record.last_provisioned_at
+    };
+    if (resource.type === 'd1') grouped.d1.push({ name: resource.name, id: resource.id, ...owner });
+    if (resource.type === 'r2') grouped.r2.push({ name: resource.name, ...owner });
+    if (resource.type === 'kv') grouped.kv.push({ id: resource.id, title: resource.name, ...owner });
+    if (resource.type === 'queues') grouped.queues.push({ name: resource.name, id: resource.id, ...owner });
+    if (resource.type === 'vectorize') grouped.vectorize.push({ name: resource.name, ...owner });
+    if (resource.type === 'hyperdrive') grouped.hyperdrive.push({ name: resource.name, id: resource.id, ...owner });
+  }
+  return grouped;
+}
+
+/**
+ * Creates a registry for a project on top of a storage backend
+ * @param {Object} storage - Storage (see storage.js)
+ * @param {string} projectName - Pages Project name
+ * @returns {Object} Registry with getBranch/listBranches/recordProvisioned/removeResources
+ */
+function createStateRegistry(storage, projectName) {
+  const prefix = `state/${projectName}/`;
+  const keyFor = (key) => `${prefix}${key}`;
+
+  async function listBranches() {
+    const keys = await storage.list(prefix);
+    const records = [];
+    for (const storageKey of keys) {
+      const record = await storage.get(storageKey);
+      if (record) records.push(record);
+    }
+    return records;
+  }
+
+  async function removeFromRecord(record, removed) {
+    record.resources = record.resources.filter(r => !removed.has(resourceKey(r)));
+
+    if (record.resources.length === 0) {
+      await storage.delete(keyFor(record.key));
+    } else {
+      await storage.put(keyFor(record.key), record);
+    }
+  }
+
+  return {
+    description: storage.description,
+
+    /**
+     * Returns the record for a branch name, or null if nothing is recorded
+     */
+    async getBranch(branch) {
+      return storage.get(keyFor(getBranchKey(branch)));
+    },
+
+    /**
+     * Returns every branch record for the project
+     */
+    listBranches,
+
+    /**
+     * Records resources provisioned for a branch, refreshing timestamps of known ones
+     */
+    async recordProvisioned({ branch, resources }) {
+      const now = new Date().toISOString();
+      const key = getBranchKey(branch);
+      const record = (await storage.get(keyFor(key))) || { branch, first_provisioned_at: now, resources: [] };
+      record.branch = branch;
+      record.key = key;
+      record.last_provisioned_at = now;
+
+      for (const resource of resources) {
+        const existing = record.resources.find(r => resourceKey(r) === resourceKey(resource));
+        if (existing) {
+          Object.assign(existing, resource, { last_provisioned_at: now });
+        } else {
+          record.resources.push({ ...resource, created_at: now, last_provisioned_at: now });
+        }
+      }
+
+      await storage.put(keyFor(key), record);
+      return record;
+    },
+
+    /**
+     * Removes deleted resources, dropping records once they are empty
+     * Without a branch key, every record holding the resources is updated.
+     */
+    async removeResources(key, resources) {
+      const removed = new Set(resources.map(resourceKey));
+
+      if (key) {
+        const record = await storage.get(keyFor(key));
+        if (record) await removeFromRecord(record, removed);
+        return;
+      }
+
+      for (const record of await listBranches()) {
+        if (record.resources.some(r => removed.has(resourceKey(r)))) {
+          await removeFromRecord(record, removed);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Prints what the registry records for one branch or all branches
+ * @param {Object} options - Options
+ * @param {string|null} [options.branch] - Only show this branch
+ * @param {boolean} [options.json] - Print records as JSON
+ * @returns {Promise<Array<Object>>} The branch records shown
+ */
+async function showState(options = {}) {
+  const { branch = null, json = false } = options;
+
+  const config = getEnv({ requireApiToken: false });
+  if (!config.state) {
+    throw new Error('CF_BRANCH_WRANGLER_STATE is not set. Configure a state registry to record provisioned resources.');
+  }
+
+  const { config: wranglerConfig } = parseWranglerConfig();
+  config.projectName = config.projectName || wranglerConfig.name;
+  if (!config.projectName) {
+    throw new Error('CF_PAGES_PROJECT_NAME not set and no "name" field found in wrangler config.');
+  }
+
+  if (parseStorageSpec(config.state).type !== 'file' && !config.accountId && config.apiToken) {
+    config.accountId = await fetchAccountId(config.apiToken);
+  }
+
+  const registry = createStateRegistry(createStorage(config.state, config), config.projectName);
+  const records = branch
+    ? [await registry.getBranch(branch)].filter(Boolean)
+    : await registry.listBranches();
+
+  if (json) {
+    process.stdout.write(`${JSON.stringify(records, null, 2)}\n`);
+    return records;
+  }
+
+  if (records.length === 0) {
+    console.log(branch
+      ? `No resources recorded for branch "${branch}"`
+      : 'No resources recorded');
+    return records;
+  }
+
+  for (const record of records) {
+    console.log(`Branch ${record.branch} (key "${record.key}")`);
+    console.log(`  First provisioned: ${record.first_provisioned_at}`);
+    console.log(`  Last provisioned:  ${record.last_provisioned_at}`);
+    for (const resource of record.resources) {
+      const id = resource.id ? ` (${resource.id})` : '';
+      console.log(`    ${TYPE_LABELS[resource.type]} ${resource.binding} -> ${resource.name}${id}`);
+    }
+    console.log('');
+  }
+
+  return records;
+}
+
+module.exports = {
+  toStateResource,
+  toStateResources,
+  groupByType,
+  createStateRegistry,
+  showState
+};
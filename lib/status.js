@@ -0,0 +1,265 @@
+/**
+ * Status: what branch resources exist, grouped by branch
+ * Uses the same name-based discovery as cleanup, then adds what is known
+ * about each resource: its recorded owner, its size, whether its branch is
+ * still live, and whether the preview bindings point at it.
+ */
+
+const { createCleanupContext, findResources, annotateBucketUsage } = require('./cleanup.js');
+const { getLiveBranches, liveBranchMatcher } = require('./prune.js');
+const { getCleanupGuard, protectionOf } = require('./cleanup-guard.js');
+const { branchPartOf } = require('./naming.js');
+const { formatBytes } = require('./r2-empty.js');
+const { fetchAccountId, getPagesProject } = require('./api-client.js');
+const { getPreviewOwner } = require('./lock.js');
+
+// Resource types as discovered by cleanup, with how each is named, bound in wrangler config and in the preview config
+const STATUS_TYPES = [
+  { type: 'd1', label: 'D1', nameKey: 'name', baseKey: 'name', previewType: 'd1_databases', previewKey: 'id', idKey: 'id' },
+  { type: 'r2', label: 'R2', nameKey: 'name', baseKey: 'name', previewType: 'r2_buckets', previewKey: 'name', idKey: 'name' },
+  { type: 'kv', label: 'KV', nameKey: 'title', baseKey: 'id', previewType: 'kv_namespaces', previewKey: 'namespace_id', idKey: 'id' },
+  { type: 'queues', label: 'Queue', nameKey: 'name', baseKey: 'name', previewType: 'queue_producers', previewKey: 'name', idKey: 'name' },
+  { type: 'vectorize', label: 'Vectorize', nameKey: 'name', baseKey: 'name', previewType: 'vectorize_bindings', previewKey: 'index_name', idKey: 'name' },
+  { type: 'hyperdrive', label: 'Hyperdrive', nameKey: 'name', baseKey: 'name', previewType: 'hyperdrive_bindings', previewKey: 'id', idKey: 'id' }
+];
+
+/**
+ * Reads the owners the state registry records, by resource
+ * @param {Object|null} registry - State registry (see state.js)
+ * @returns {Promise<Map<string, {branch: string, key: string}>>} Owners keyed by "<type>:<name>"
+ */
+async function recordedOwners(registry) {
+  const owners = new Map();
+  if (!registry) return owners;
+
+  for (const record of await registry.listBranches()) {
+    for (const entry of record.resources) {
+      owners.set(`${entry.type}:${entry.name}`, { branch: record.branch, key: record.key });
+    }
+  }
+  return owners;
+}
+
+/**
+ * Reads the project's preview bindings, if they can be read
+ * @param {Object} config - Configuration
+ * @returns {Promise<Object|null>} deployment_configs.preview, or null without an API token or project
+ */
+async function readPreviewBindings(config) {
+  if (!config.apiToken || !config.projectName) return null;
+
+  try {
+    if (!config.accountId) {
+      config.accountId = await fetchAccountId(config.apiToken);
+    }
+    const project = await getPagesProject(config.accountId, config.projectName, config.apiToken);
+    return (project.deployment_configs && project.deployment_configs.preview) || {};
+  } catch (error) {
+    console.warn(`Warning: Could not read the preview bindings of ${config.projectName}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reads the live branches, if they can be read
+ * @param {Object} source - Where to read branches from (see prune.js getLiveBranches)
+ * @returns {string[]|null} Branch names, or null if git or the branch list isn't available
+ */
+function readLiveBranches(source) {
+  try {
+    const branches = getLiveBranches(source);
+    return branches.length > 0 ? branches : null;
+  } catch (error) {
+    console.warn(`Warning: Could not list live branches, orphans aren't flagged: ${error.message.split('\n')[0]}`);
+    return null;
+  }
+}
+
+/**
+ * Describes the size of a resource, where the API reports one
+ * @param {string} type - Resource type
+ * @param {Object} resource - Discovered resource
+ * @returns {Object|null} { bytes } for D1, { objects, bytes } for R2, or null
+ */
+function sizeOf(type, resource) {
+  if (type === 'd1' && resource.file_size !== undefined) return { bytes: resource.file_size };
+  if (type === 'r2' && resource.usage) return { objects: resource.usage.objects, bytes: resource.usage.bytes };
+  return null;
+}
+
+/**
+ * Formats a size for the table
+ * @param {Object|null} size - Size from sizeOf
+ * @returns {string} Size such as "2.0 KB" or "12 objects, 3.4 MB"
+ */
+function formatSize(size) {
+  if (!size) return '-';
+  return size.objects !== undefined
+    ? `${size.objects} objects, ${formatBytes(size.bytes)}`
+    : formatBytes(size.bytes);
+}
+
+/**
+ * Lays out rows as left-aligned columns
+ * @param {string[][]} rows - Rows of cells, the first being the header
+ * @returns {string[]} Lines
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  return rows.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+}
+
+/**
+ * Groups discovered resources by branch part, adding owner, size, orphan and preview details
+ * @param {Object} context - Cleanup context (see cleanup.js)
+ * @param {Object} resources - Resources: { d1: [], r2: [], kv: [], queues: [], vectorize: [], hyperdrive: [] }
+ * @param {Object} details - What is known beyond the resources
+ * @param {Map} details.owners - Owners from recordedOwners
+ * @param {Function|null} details.isLive - Predicate from liveBranchMatcher, or null if live branches are unknown
+ * @param {Object|null} details.preview - Current preview bindings, or null if unknown
+ * @param {Object} details.guard - Cleanup guard (see cleanup-guard.js)
+ * @returns {Array<Object>} Groups { suffix, branch, orphan, preview, resources }, sorted by suffix
+ */
+function groupByBranch(context, resources, { owners, isLive, preview, guard }) {
+  const template = context.config.nameTemplate;
+  const groups = new Map();
+
+  for (const { type, label, nameKey, baseKey, previewType, previewKey, idKey } of STATUS_TYPES) {
+    const baseNames = context.bindings[type].map(b => b[baseKey]).filter(Boolean);
+    const bound = new Set(Object.values((preview && preview[previewType]) || {})
+      .map(entry => entry && entry[previewKey]));
+
+    for (const resource of resources[type]) {
+      const name = resource[nameKey];
+      const owner = owners.get(`${type}:${name}`) || null;
+      const suffix = baseNames.map(base => branchPartOf(name, base, template)).find(Boolean) || name;
+
+      if (!groups.has(suffix)) {
+        groups.set(suffix, { suffix, branch: null, orphan: isLive ? true : null, preview: false, resources: [] });
+      }
+      const group = groups.get(suffix);
+      if (owner) group.branch = owner.branch;
+
+      // A group is an orphan when no live branch maps to any of its resources
+      if (isLive && isLive(owner ? { key: owner.key } : resource)) group.orphan = false;
+      const inPreview = bound.has(resource[idKey]);
+      if (inPreview) group.preview = true;
+
+      group.resources.push({
+        type,
+        label,
+        name,
+        id: resource[idKey] === name ? null : resource[idKey],
+        created_at: resource.created_at || null,
+        size: sizeOf(type, resource),
+        owner: owner ? owner.branch : null,
+        protected: protectionOf(guard, name),
+        preview: inPreview
+      });
+    }
+  }
+
+  return [...groups.values()].sort((a, b) => a.suffix.localeCompare(b.suffix));
+}
+
+/**
+ * Prints groups as tables
+ * @param {Array<Object>} groups - Groups from groupByBranch
+ * @param {Object|null} previewOwner - Preview owner record (see lock.js)
+ */
+function printStatus(groups, previewOwner) {
+  if (previewOwner) {
+    const owner = previewOwner.branch ? `branch "${previewOwner.branch}"` : `fallback "${previewOwner.fallback}"`;
+    console.log(`Preview bindings owned by ${owner} (since ${previewOwner.updated_at})\n`);
+  }
+
+  if (groups.length === 0) {
+    console.log('No branch-specific resources found.');
+    return;
+  }
+
+  for (const group of groups) {
+    const flags = [
+      group.branch ? `branch ${group.branch}` : null,
+      group.orphan ? 'ORPHAN' : null,
+      group.preview ? 'bound to preview' : null
+    ].filter(Boolean);
+    console.log(`${group.suffix}${flags.length > 0 ? ` (${flags.join(', ')})` : ''}`);
+
+    const rows = [['TYPE', 'NAME', 'ID', 'CREATED', 'SIZE', '']];
+    for (const resource of group.resources) {
+      rows.push([
+        resource.label,
+        resource.name,
+        resource.id || '-',
+        resource.created_at || '-',
+        formatSize(resource.size),
+        resource.protected || ''
+      ]);
+    }
+    console.log(formatTable(rows).map(line => `  ${line}`).join('\n'));
+    console.log('');
+  }
+
+  const orphans = groups.filter(group => group.orphan).length;
+  console.log(`${groups.length} branch(es), ${orphans} orphaned`);
+}
+
+/**
+ * Status entry point
+ * @param {Object} [options] - Status options
+ * @param {boolean} [options.json] - Print JSON on stdout
+ * @param {string} [options.remote] - Remote name for git ls-remote
+ * @param {boolean} [options.local] - Use local branches
+ * @param {string} [options.branchesFile] - Branch list file
+ * @param {boolean} [options.bucketUsage] - Count the objects in R2 buckets (default: true)
+ * @param {string} [options.env] - Wrangler environment (overrides CF_BRANCH_WRANGLER_ENV)
+ * @returns {Promise<Object>} Status { project, preview_owner, branches }
+ */
+async function status(options = {}) {
+  const { json = false, bucketUsage = true } = options;
+
+  const context = await createCleanupContext({ env: options.env });
+  const { config } = context;
+  const guard = getCleanupGuard(context.settings);
+
+  // Always by name: the point is to see what exists, recorded or not
+  const resources = await findResources(context, { branch: null, discover: true });
+  if (bucketUsage) {
+    await annotateBucketUsage(context, resources.r2);
+  }
+
+  const branches = readLiveBranches(options);
+  const groups = groupByBranch(context, resources, {
+    owners: await recordedOwners(context.registry),
+    isLive: branches ? liveBranchMatcher(context, branches) : null,
+    preview: await readPreviewBindings(config),
+    guard
+  });
+  const previewOwner = context.lockStorage ? await getPreviewOwner(context.lockStorage, config.projectName) : null;
+
+  const result = {
+    project: config.projectName || null,
+    preview_owner: previewOwner
+      ? { branch: previewOwner.branch, fallback: previewOwner.fallback || null, updated_at: previewOwner.updated_at }
+      : null,
+    branches: groups.map(group => ({
+      ...group,
+      resources: group.resources.map(({ label, ...resource }) => resource)
+    }))
+  };
+
+  if (json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    console.log('');
+    printStatus(groups, previewOwner);
+  }
+
+  return result;
+}
+
+module.exports = {
+  groupByBranch,
+  status
+};
@@ -0,0 +1,242 @@
+/**
+ * Pluggable JSON key-value storage for tool state (locks, ownership records)
+ * Backends are selected with a spec string:
+ *   file:<path>        - a local JSON file (development and tests)
+ *   kv:<namespace-id>  - a Workers KV namespace (CI)
+ *   r2:<bucket>[/<prefix>] - JSON objects in an R2 bucket (CI)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cfRequest } = require('./api-client.js');
+
+// KV rejects expiration TTLs below 60 seconds
+const KV_MIN_TTL = 60;
+
+/**
+ * Parses a storage spec string
+ * @param {string} spec - Spec such as "kv:<namespace-id>", "r2:my-bucket/state" or "file:.branch-wrangler/state.json"
+ * @returns {{ type: string, target: string }} Backend type and its target
+ * @throws {Error} If the spec is malformed or names an unknown backend
+ */
+function parseStorageSpec(spec) {
+  const idx = spec.indexOf(':');
+  const type = idx === -1 ? '' : spec.slice(0, idx).trim().toLowerCase();
+  const target = idx === -1 ? '' : spec.slice(idx + 1).trim();
+
+  if (!['file', 'kv', 'r2'].includes(type) || !target) {
+    throw new Error(`Invalid storage spec "${spec}". Expected file:<path>, kv:<namespace-id> or r2:<bucket>[/<prefix>]`);
+  }
+
+  return { type, target };
+}
+
+/**
+ * Creates a storage backed by a single local JSON file
+ * Expired entries are dropped on read, mirroring KV expiration.
+ * @param {string} filePath - Path to the JSON file (created on first write)
+ * @returns {Object} Storage with get/put/delete/list
+ */
+function createFileStorage(filePath) {
+  const resolved = path.resolve(filePath);
+
+  function load() {
+    if (!fs.existsSync(resolved)) return {};
+    return JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  }
+
+  function save(entries) {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    // Write then rename so concurrent readers never see a partial file
+    const tmp = `${resolved}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entries, null, 2));
+    fs.renameSync(tmp, resolved);
+  }
+
+  function live(entry) {
+    return entry && (!entry.expires_at || Date.parse(entry.expires_at) > Date.now());
+  }
+
+  return {
+    description: `file ${filePath}`,
+
+    async get(key) {
+      const entry = load()[key];
+      return live(entry) ? entry.value : null;
+    },
+
+    async put(key, value, options = {}) {
+      const entries = load();
+      entries[key] = { value };
+      if (options.ttl) {
+        entries[key].expires_at = new Date(Date.now() + options.ttl * 1000).toISOString();
+      }
+      save(entries);
+    },
+
+    async delete(key) {
+      const entries = load();
+      delete entries[key];
+      save(entries);
+    },
+
+    async list(prefix = '') {
+      const entries = load();
+      return Object.keys(entries).filter(key => key.startsWith(prefix) && live(entries[key]));
+    }
+  };
+}
+
+/**
+ * Creates a storage backed by a Workers KV namespace via the REST API
+ * KV is eventually consistent, so readers in other locations may briefly see stale values.
+ * @param {Object} options - Storage options
+ * @param {string} options.apiToken - Cloudflare API bearer token
+ * @param {string} options.accountId - Cloudflare Account ID
+ * @param {string} options.namespaceId - KV namespace ID
+ * @returns {Object} Storage with get/put/delete/list
+ */
+function createKVStorage({ apiToken, accountId, namespaceId }) {
+  const nsPath = `/accounts/${accountId}/storage/kv/namespaces/${namespaceId}`;
+  const valuePath = (key) => `${nsPath}/values/${encodeURIComponent(key)}`;
+
+  return {
+    description: `KV namespace ${namespaceId}`,
+
+    async get(key) {
+      try {
+        return JSON.parse(await cfRequest(apiToken, 'GET', valuePath(key), { raw: true }));
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+
+    async put(key, value, options = {}) {
+      await cfRequest(apiToken, 'PUT', valuePath(key), {
+        query: { expiration_ttl: options.ttl ? Math.max(options.ttl, KV_MIN_TTL) : undefined },
+        rawBody: JSON.stringify(value),
+        contentType: 'text/plain'
+      });
+    },
+
+    async delete(key) {
+      try {
+        await cfRequest(apiToken, 'DELETE', valuePath(key));
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    },
+
+    async list(prefix = '') {
+      const keys = [];
+      let cursor;
+      do {
+        const data = await cfRequest(apiToken, 'GET', `${nsPath}/keys`, {
+          query: { prefix: prefix || undefined, cursor, limit: 1000 }
+        });
+        keys.push(...(data.result || []).map(k => k.name));
+        cursor = data.result_info && data.result_info.cursor;
+      } while (cursor);
+      return keys;
+    }
+  };
+}
+
+/**
+ * Creates a storage backed by JSON objects in an R2 bucket via the REST API
+ * R2 has no object expiry per write, so TTLs are stored in the object and enforced on read.
+ * @param {Object} options - Storage options
+ * @param {string} options.apiToken - Cloudflare API bearer token
+ * @param {string} options.accountId - Cloudflare Account ID
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.prefix] - Key prefix for all objects (e.g. "branch-wrangler/")
+ * @returns {Object} Storage with get/put/delete/list
+ */
+function createR2Storage({ apiToken, accountId, bucket, prefix = '' }) {
+  const bucketPath = `/accounts/${accountId}/r2/buckets/${bucket}`;
+  const objectPath = (key) => `${bucketPath}/objects/${encodeURIComponent(`${prefix}${key}`)}`;
+
+  return {
+    description: `R2 bucket ${bucket}${prefix ? `/${prefix}` : ''}`,
+
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await cfRequest(apiToken, 'GET', objectPath(key), { raw: true }));
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+      if (entry.expires_at && Date.parse(entry.expires_at) <= Date.now()) return null;
+      return entry.value;
+    },
+
+    async put(key, value, options = {}) {
+      const entry = { value };
+      if (options.ttl) {
+        entry.expires_at = new Date(Date.now() + options.ttl * 1000).toISOString();
+      }
+      await cfRequest(apiToken, 'PUT', objectPath(key), {
+        rawBody: JSON.stringify(entry),
+        contentType: 'application/json'
+      });
+    },
+
+    async delete(key) {
+      try {
+        await cfRequest(apiToken, 'DELETE', objectPath(key));
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    },
+
+    async list(keyPrefix = '') {
+      const keys = [];
+      let cursor;
+      do {
+        const data = await cfRequest(apiToken, 'GET', `${bucketPath}/objects`, {
+          query: { prefix: `${prefix}${keyPrefix}` || undefined, cursor, per_page: 1000 }
+        });
+        keys.push(...(data.result || []).map(obj => obj.key.slice(prefix.length)));
+        cursor = data.result_info && data.result_info.is_truncated ? data.result_info.cursor : null;
+      } while (cursor);
+      return keys;
+    }
+  };
+}
+
+/**
+ * Creates a storage from a spec string
+ * @param {string} spec - Storage spec (see parseStorageSpec)
+ * @param {Object} config - Configuration with apiToken and accountId (needed for remote backends)
+ * @returns {Object} Storage with get/put/delete/list
+ */
+function createStorage(spec, config) {
+  const { type, target } = parseStorageSpec(spec);
+
+  if (type === 'file') {
+    return createFileStorage(target);
+  }
+
+  if (!config.apiToken || !config.accountId) {
+    throw new Error(`Storage "${spec}" requires CLOUDFLARE_API_TOKEN and an account ID`);
+  }
+
+  if (type === 'r2') {
+    const slash = target.indexOf('/');
+    const bucket = slash === -1 ? target : target.slice(0, slash);
+    const prefix = slash === -1 ? '' : `${target.slice(slash + 1).replace(/\/+$/, '')}/`;
+    return createR2Storage({ apiToken: config.apiToken, accountId: config.accountId, bucket, prefix });
+  }
+
+  return createKVStorage({ apiToken: config.apiToken, accountId: config.accountId, namespaceId: target });
+}
+
+module.exports = {
+  parseStorageSpec,
+  createFileStorage,
+  createKVStorage,
+  createR2Storage,
+  createStorage
+};
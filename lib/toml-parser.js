@@ -5,21 +5,8 @@
 const fs = require('fs');
 const path = require('path');
 const toml = require('@iarna/toml');
-
-/**
- * Strips JSON comments (// and /* ... *​/) and trailing commas for JSONC parsing
- * @param {string} text - JSONC content
- * @returns {string} Clean JSON string
- */
-function stripJsonc(text) {
-  // Remove single-line comments
-  let result = text.replace(/\/\/.*$/gm, '');
-  // Remove multi-line comments
-  result = result.replace(/\/\*[\s\S]*?\*\//g, '');
-  // Remove trailing commas before } or ]
-  result = result.replace(/,\s*([\]}])/g, '$1');
-  return result;
-}
+const { parseJsonc } = require('./jsonc.js');
+const { createConfigEditor } = require('./config-editor.js');
 
 /**
  * Detects and reads the wrangler config file (toml, json, or jsonc)
@@ -43,7 +30,7 @@ function parseWranglerConfig(dir) {
 
     const content = fs.readFileSync(configPath, 'utf-8');
     const config = format === 'jsonc'
-      ? JSON.parse(stripJsonc(content))
+      ? parseJsonc(content)
       : toml.parse(content);
 
     return { config, format, configPath };
@@ -63,132 +50,322 @@ function parseWranglerToml(tomlPath = 'wrangler.toml') {
   return toml.parse(content);
 }
 
+// Top-level config fields holding the bindings this tool provisions
+const BINDING_TYPES = [
+  'd1_databases', 'r2_buckets', 'kv_namespaces', 'queues', 'vectorize', 'hyperdrive', 'services', 'durable_objects'
+];
+
+// Fields of each binding entry the rewrite owns - the only values it changes
+const OWNED_FIELDS = [
+  { path: ['d1_databases'], fields: ['database_name', 'database_id'] },
+  { path: ['r2_buckets'], fields: ['bucket_name'] },
+  { path: ['kv_namespaces'], fields: ['id'] },
+  { path: ['queues', 'producers'], fields: ['queue'] },
+  { path: ['queues', 'consumers'], fields: ['queue'] },
+  { path: ['vectorize'], fields: ['index_name'] },
+  { path: ['hyperdrive'], fields: ['id'] },
+  { path: ['services'], fields: ['service'] },
+  { path: ['durable_objects', 'bindings'], fields: ['script_name'] }
+];
+
+/**
+ * Returns the section of the config an environment's bindings live in
+ * @param {Object} config - Parsed wrangler config
+ * @param {string|null} [environment] - Wrangler environment name, or none for the top level
+ * @returns {Object} The [env.<name>] section, or the config itself
+ * @throws {Error} If the environment isn't defined in the config
+ */
+function getEnvSection(config, environment) {
+  if (!environment) return config;
+
+  const section = config.env && config.env[environment];
+  if (!section) {
+    throw new Error(`Environment "${environment}" not found in wrangler config (expected an [env.${environment}] section)`);
+  }
+  return section;
+}
+
 /**
- * Extracts D1, R2, and KV bindings from parsed wrangler config
- * @param {Object} config - Parsed wrangler config (toml or jsonc)
- * @returns {Object} Object with d1, r2, and kv binding arrays
+ * Resolves the binding arrays for an environment the way wrangler does:
+ * arrays defined in the environment section override the top-level ones
+ * @param {Object} config - Parsed wrangler config
+ * @param {string|null} [environment] - Wrangler environment name
+ * @returns {Object} Bindings keyed by config field (see BINDING_TYPES)
  */
-function extractBindings(config) {
+function resolveBindingArrays(config, environment) {
+  const section = getEnvSection(config, environment);
+
+  const resolved = {};
+  for (const type of BINDING_TYPES) {
+    resolved[type] = section[type] || config[type];
+  }
+  return resolved;
+}
+
+/**
+ * Extracts D1, R2, KV, queue producer, Vectorize, Hyperdrive, service, and Durable Object
+ * bindings from parsed wrangler config
+ * Each binding records its position in the config array so it can be written back.
+ * @param {Object} wranglerConfig - Parsed wrangler config (toml or jsonc)
+ * @param {string|null} [environment] - Wrangler environment to resolve bindings for
+ * @returns {Object} Object with d1, r2, kv, queues, vectorize, hyperdrive, services, and durableObjects binding arrays
+ */
+function extractBindings(wranglerConfig, environment) {
+  const config = resolveBindingArrays(wranglerConfig, environment);
   const bindings = {
     d1: [],
     r2: [],
-    kv: []
+    kv: [],
+    queues: [],
+    vectorize: [],
+    hyperdrive: [],
+    services: [],
+    durableObjects: []
   };
 
   // Extract D1 bindings
   if (config.d1_databases) {
-    for (const entry of config.d1_databases) {
+    config.d1_databases.forEach((entry, index) => {
       bindings.d1.push({
         binding: entry.binding,
-        name: entry.database_name || entry.database_id
+        name: entry.database_name || entry.database_id,
+        id: entry.database_id,
+        migrationsDir: entry.migrations_dir,
+        index
       });
-    }
+    });
   }
 
   // Extract R2 bindings
   if (config.r2_buckets) {
-    for (const entry of config.r2_buckets) {
+    config.r2_buckets.forEach((entry, index) => {
       bindings.r2.push({
         binding: entry.binding,
-        name: entry.bucket_name
+        name: entry.bucket_name,
+        index
       });
-    }
+    });
   }
 
   // Extract KV bindings
   if (config.kv_namespaces) {
-    for (const entry of config.kv_namespaces) {
+    config.kv_namespaces.forEach((entry, index) => {
       bindings.kv.push({
         binding: entry.binding,
-        id: entry.id
+        id: entry.id,
+        index
       });
-    }
+    });
+  }
+
+  // Extract queue producer bindings (consumers follow the queue they consume)
+  if (config.queues && config.queues.producers) {
+    config.queues.producers.forEach((entry, index) => {
+      bindings.queues.push({
+        binding: entry.binding,
+        name: entry.queue,
+        index
+      });
+    });
+  }
+
+  // Extract Vectorize bindings
+  if (config.vectorize) {
+    config.vectorize.forEach((entry, index) => {
+      bindings.vectorize.push({
+        binding: entry.binding,
+        name: entry.index_name,
+        index
+      });
+    });
+  }
+
+  // Extract Hyperdrive bindings (the config name is looked up from the ID when needed)
+  if (config.hyperdrive) {
+    config.hyperdrive.forEach((entry, index) => {
+      bindings.hyperdrive.push({
+        binding: entry.binding,
+        id: entry.id,
+        index
+      });
+    });
+  }
+
+  // Extract service bindings (name is the Worker)
+  if (config.services) {
+    config.services.forEach((entry, index) => {
+      bindings.services.push({
+        binding: entry.binding,
+        name: entry.service,
+        environment: entry.environment,
+        index
+      });
+    });
+  }
+
+  // Extract Durable Object bindings (name is the Worker defining the class, if not this project)
+  if (config.durable_objects && config.durable_objects.bindings) {
+    config.durable_objects.bindings.forEach((entry, index) => {
+      bindings.durableObjects.push({
+        binding: entry.name,
+        className: entry.class_name,
+        name: entry.script_name,
+        index
+      });
+    });
   }
 
   return bindings;
 }
 
 /**
- * Rewrites the wrangler config file with branch-specific resource bindings.
- * This ensures the Pages build picks up the correct branch resources instead of production ones.
- * @param {Object} provisioned - Provisioned resources { d1: [{id, name}], r2: [{name}], kv: [{id}] }
- * @param {Object} bindings - Original bindings from the config
- * @param {string} format - Config format: 'toml' or 'jsonc'
- * @param {string} configPath - Path to the wrangler config file
+ * Reads a nested field
+ * @param {Object} object - Object to read from
+ * @param {Array<string>} fieldPath - Field names
+ * @returns {*} Value, or undefined if any part is missing
  */
-function rewriteConfigBindings(provisioned, bindings, format, configPath) {
-  const content = fs.readFileSync(configPath, 'utf-8');
-
-  if (format === 'jsonc') {
-    const config = JSON.parse(stripJsonc(content));
+function getPath(object, fieldPath) {
+  return fieldPath.reduce((value, key) => (value ? value[key] : undefined), object);
+}
 
-    // Update D1
-    if (config.d1_databases) {
-      for (let i = 0; i < config.d1_databases.length; i++) {
-        if (provisioned.d1[i]) {
-          config.d1_databases[i].database_name = provisioned.d1[i].name;
-          config.d1_databases[i].database_id = provisioned.d1[i].id;
-        }
+/**
+ * Points the config entries of the given bindings at their provisioned resources
+ * Entries of bindings that weren't provisioned are left as they are. For an
+ * environment, arrays it inherits from the top level are copied into its
+ * section first, so the top-level bindings stay untouched.
+ * @param {Object} wranglerConfig - Parsed wrangler config, modified in place
+ * @param {Object} provisioned - Provisioned resources { d1: [{id, name}], r2: [{name}], kv: [{id}], queues: [{id, name}],
+ *   vectorize: [{name}], hyperdrive: [{id, name}], services: [{worker}], durableObjects: [{worker}] }
+ * @param {Object} bindings - Provisioned bindings, in the same order as the provisioned resources
+ * @param {string|null} [environment] - Wrangler environment the bindings were resolved for
+ */
+function applyConfigBindings(wranglerConfig, provisioned, bindings, environment) {
+  const config = getEnvSection(wranglerConfig, environment);
+  if (config !== wranglerConfig) {
+    for (const type of BINDING_TYPES) {
+      if (!config[type] && wranglerConfig[type]) {
+        // Arrays of tables, or tables of them (queues, durable_objects)
+        config[type] = JSON.parse(JSON.stringify(wranglerConfig[type]));
       }
     }
+  }
 
-    // Update R2
-    if (config.r2_buckets) {
-      for (let i = 0; i < config.r2_buckets.length; i++) {
-        if (provisioned.r2[i]) {
-          config.r2_buckets[i].bucket_name = provisioned.r2[i].name;
-        }
-      }
-    }
+  // Update D1
+  bindings.d1.forEach((b, i) => {
+    const entry = config.d1_databases[b.index];
+    entry.database_name = provisioned.d1[i].name;
+    entry.database_id = provisioned.d1[i].id;
+  });
 
-    // Update KV
-    if (config.kv_namespaces) {
-      for (let i = 0; i < config.kv_namespaces.length; i++) {
-        if (provisioned.kv[i]) {
-          config.kv_namespaces[i].id = provisioned.kv[i].id;
-        }
-      }
-    }
+  // Update R2
+  bindings.r2.forEach((b, i) => {
+    config.r2_buckets[b.index].bucket_name = provisioned.r2[i].name;
+  });
 
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-  } else {
-    // TOML - parse, modify, stringify
-    const config = toml.parse(content);
+  // Update KV
+  bindings.kv.forEach((b, i) => {
+    config.kv_namespaces[b.index].id = provisioned.kv[i].id;
+  });
 
-    if (config.d1_databases) {
-      for (let i = 0; i < config.d1_databases.length; i++) {
-        if (provisioned.d1[i]) {
-          config.d1_databases[i].database_name = provisioned.d1[i].name;
-          config.d1_databases[i].database_id = provisioned.d1[i].id;
-        }
-      }
+  // Update queue producers, and point consumers of those queues at the branch queues
+  const queueNames = new Map();
+  bindings.queues.forEach((b, i) => {
+    config.queues.producers[b.index].queue = provisioned.queues[i].name;
+    queueNames.set(b.name, provisioned.queues[i].name);
+  });
+  for (const consumer of (config.queues && config.queues.consumers) || []) {
+    if (queueNames.has(consumer.queue)) {
+      consumer.queue = queueNames.get(consumer.queue);
     }
+  }
 
-    if (config.r2_buckets) {
-      for (let i = 0; i < config.r2_buckets.length; i++) {
-        if (provisioned.r2[i]) {
-          config.r2_buckets[i].bucket_name = provisioned.r2[i].name;
-        }
-      }
-    }
+  // Update Vectorize
+  bindings.vectorize.forEach((b, i) => {
+    config.vectorize[b.index].index_name = provisioned.vectorize[i].name;
+  });
 
-    if (config.kv_namespaces) {
-      for (let i = 0; i < config.kv_namespaces.length; i++) {
-        if (provisioned.kv[i]) {
-          config.kv_namespaces[i].id = provisioned.kv[i].id;
+  // Update Hyperdrive
+  bindings.hyperdrive.forEach((b, i) => {
+    config.hyperdrive[b.index].id = provisioned.hyperdrive[i].id;
+  });
+
+  // Point service bindings and Durable Object script references at their resolved Workers
+  bindings.services.forEach((b, i) => {
+    config.services[b.index].service = provisioned.services[i].worker;
+  });
+  bindings.durableObjects.forEach((b, i) => {
+    config.durable_objects.bindings[b.index].script_name = provisioned.durableObjects[i].worker;
+  });
+}
+
+/**
+ * Renders wrangler config content with branch-specific resource bindings applied
+ * Only the owned ID and name values change; comments, ordering and formatting
+ * are kept. Arrays an environment inherits are added to its section.
+ * @param {Object} provisioned - Provisioned resources { d1: [{id, name}], r2: [{name}], kv: [{id}], queues: [{id, name}],
+ *   vectorize: [{name}], hyperdrive: [{id, name}], services: [{worker}], durableObjects: [{worker}] }
+ * @param {Object} bindings - Provisioned bindings, in the same order as the provisioned resources
+ * @param {string} format - Config format: 'toml' or 'jsonc'
+ * @param {string} content - Current config file content
+ * @param {string|null} [environment] - Wrangler environment the bindings were resolved for
+ * @returns {string} Updated config file content
+ */
+function renderConfigBindings(provisioned, bindings, format, content, environment) {
+  const parse = format === 'jsonc' ? parseJsonc : toml.parse;
+  const original = getEnvSection(parse(content), environment);
+  const config = parse(content);
+  applyConfigBindings(config, provisioned, bindings, environment);
+  const updated = getEnvSection(config, environment);
+
+  const editor = createConfigEditor(content, format);
+  const sectionPath = environment ? ['env', environment] : [];
+
+  // Bindings the environment inherits are added to its section as a whole
+  const inherited = BINDING_TYPES.filter(type => updated[type] && !original[type]);
+  for (const type of inherited) {
+    editor.appendValue(sectionPath, type, updated[type]);
+  }
+
+  for (const { path: fieldPath, fields } of OWNED_FIELDS) {
+    if (inherited.includes(fieldPath[0])) continue;
+
+    const entries = getPath(updated, fieldPath) || [];
+    const originalEntries = getPath(original, fieldPath);
+    entries.forEach((entry, index) => {
+      const node = editor.get([...sectionPath, ...fieldPath, index]);
+      for (const field of fields) {
+        if (entry[field] !== undefined && entry[field] !== originalEntries[index][field]) {
+          editor.setValue(node, field, entry[field]);
         }
       }
-    }
-
-    fs.writeFileSync(configPath, toml.stringify(config));
+    });
   }
 
-  console.log(`Updated ${path.basename(configPath)} with branch-specific bindings`);
+  return editor.toString();
+}
+
+/**
+ * Rewrites the wrangler config file with branch-specific resource bindings.
+ * This ensures the Pages build picks up the correct branch resources instead of production ones.
+ * @param {Object} provisioned - Provisioned resources { d1: [{id, name}], r2: [{name}], kv: [{id}], queues: [{id, name}],
+ *   vectorize: [{name}], hyperdrive: [{id, name}], services: [{worker}], durableObjects: [{worker}] }
+ * @param {Object} bindings - Provisioned bindings, in the same order as the provisioned resources
+ * @param {string} format - Config format: 'toml' or 'jsonc'
+ * @param {string} configPath - Path to the wrangler config file
+ * @param {string|null} [environment] - Wrangler environment the bindings were resolved for
+ */
+function rewriteConfigBindings(provisioned, bindings, format, configPath, environment) {
+  const content = fs.readFileSync(configPath, 'utf-8');
+  fs.writeFileSync(configPath, renderConfigBindings(provisioned, bindings, format, content, environment));
+
+  const section = environment ? ` (env.${environment})` : '';
+  console.log(`Updated ${path.basename(configPath)}${section} with branch-specific bindings`);
 }
 
 module.exports = {
   parseWranglerConfig,
   parseWranglerToml,
   extractBindings,
+  renderConfigBindings,
   rewriteConfigBindings
 };
@@ -0,0 +1,251 @@
+/**
+ * Position-tracking TOML scanner
+ * Builds the table structure of a TOML document with the source span of every
+ * value, so values can be edited in place. Values are not decoded; the file is
+ * validated by the real TOML parser before it gets here.
+ */
+
+const { lineIndent } = require('./jsonc.js');
+
+const BARE_KEY = /[A-Za-z0-9_-]/;
+
+/**
+ * Creates a table node
+ * @param {Object} fields - Extra fields
+ * @returns {Object} { type: 'object', props: Map<key, node>, inline, insertPos, indent, ... }
+ */
+function createTable(fields) {
+  return { type: 'object', props: new Map(), inline: false, insertPos: null, indent: '', ...fields };
+}
+
+/**
+ * Parses TOML into a tree of nodes with source positions
+ * Nodes:
+ *   { type: 'object', props, inline, insertPos, indent } - tables and inline tables (with start/end)
+ *   { type: 'array', items, tableArray } - arrays (with start/end) and arrays of tables
+ *   { type: 'value', start, end } - any other value, span including quotes
+ * For [table] and [[array]] tables, insertPos is the end of the table's last
+ * key/value line (or of its header line) and indent that line's indentation.
+ * For inline tables, insertPos is after the last value (or after "{").
+ * @param {string} text - TOML content
+ * @returns {Object} Root table node
+ * @throws {Error} If the structure can't be scanned
+ */
+function parseTomlTree(text) {
+  let i = 0;
+  const root = createTable({ insertPos: 0 });
+  let current = root;
+
+  const fail = (message) => {
+    const line = text.slice(0, i).split('\n').length;
+    throw new Error(`Invalid TOML at line ${line}: ${message}`);
+  };
+  const skipSpaces = () => {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+  };
+  const skipComment = () => {
+    if (text[i] === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+    }
+  };
+  // Spaces, newlines and comments, as allowed inside arrays
+  const skipBlank = () => {
+    for (;;) {
+      skipSpaces();
+      if (text[i] === '#') skipComment();
+      else if (text[i] === '\n' || text[i] === '\r') i++;
+      else return;
+    }
+  };
+  const lineEndAfter = (offset) => {
+    const newline = text.indexOf('\n', offset);
+    const end = newline === -1 ? text.length : newline;
+    return text[end - 1] === '\r' ? end - 1 : end;
+  };
+
+  function scanString() {
+    const start = i;
+    const quote = text[i];
+    const multiline = text.startsWith(quote.repeat(3), i);
+
+    if (multiline) {
+      const close = quote === "'"
+        ? text.indexOf("'''", i + 3)
+        : findUnescaped(text, '"""', i + 3);
+      if (close === -1) fail('unterminated multi-line string');
+      i = close + 3;
+      // Up to two quotes may directly precede the closing delimiter
+      for (let extra = 0; extra < 2 && text[i] === quote; extra++) i++;
+    } else {
+      const close = quote === "'"
+        ? text.indexOf("'", i + 1)
+        : findUnescaped(text, '"', i + 1);
+      if (close === -1 || text.slice(i, close).includes('\n')) fail('unterminated string');
+      i = close + 1;
+    }
+
+    return text.slice(start, i);
+  }
+
+  function parseKey() {
+    const parts = [];
+    for (;;) {
+      skipSpaces();
+      if (text[i] === '"' || text[i] === "'") {
+        const raw = scanString();
+        parts.push(raw[0] === '"' ? JSON.parse(raw) : raw.slice(1, -1));
+      } else {
+        const start = i;
+        while (i < text.length && BARE_KEY.test(text[i])) i++;
+        if (i === start) fail('expected a key');
+        parts.push(text.slice(start, i));
+      }
+      skipSpaces();
+      if (text[i] !== '.') return parts;
+      i++;
+    }
+  }
+
+  function parseValue() {
+    skipSpaces();
+    const start = i;
+
+    if (text[i] === '"' || text[i] === "'") {
+      scanString();
+      return { type: 'value', start, end: i };
+    }
+
+    if (text[i] === '[') {
+      i++;
+      const node = { type: 'array', start, items: [], tableArray: false };
+      for (;;) {
+        skipBlank();
+        if (text[i] === ']') break;
+        node.items.push(parseValue());
+        skipBlank();
+        if (text[i] === ',') i++;
+        else if (text[i] !== ']') fail('expected "," or "]" in array');
+      }
+      i++;
+      node.end = i;
+      return node;
+    }
+
+    if (text[i] === '{') {
+      i++;
+      const node = createTable({ start, inline: true, insertPos: i });
+      for (;;) {
+        skipBlank();
+        if (text[i] === '}') break;
+        const keys = parseKey();
+        if (text[i] !== '=') fail('expected "=" in inline table');
+        i++;
+        const value = parseValue();
+        assign(node, keys, value);
+        node.insertPos = value.end;
+        skipBlank();
+        if (text[i] === ',') i++;
+        else if (text[i] !== '}') fail('expected "," or "}" in inline table');
+      }
+      i++;
+      node.end = i;
+      return node;
+    }
+
+    // Numbers, booleans and dates (which may contain a space)
+    while (i < text.length && !/[,\]}#\r\n]/.test(text[i])) i++;
+    let end = i;
+    while (end > start && /[ \t]/.test(text[end - 1])) end--;
+    if (end === start) fail('expected a value');
+    return { type: 'value', start, end };
+  }
+
+  // Walks to the table a dotted key lives in, creating implicit tables on the way
+  function descend(table, keys) {
+    let node = table;
+    for (const key of keys) {
+      let child = node.props.get(key);
+      if (!child) {
+        child = createTable({ inline: node.inline });
+        node.props.set(key, child);
+      }
+      node = child.type === 'array' ? child.items[child.items.length - 1] : child;
+      if (!node || node.type !== 'object') fail(`"${keys.join('.')}" is not a table`);
+    }
+    return node;
+  }
+
+  function assign(table, keys, value) {
+    const parent = descend(table, keys.slice(0, -1));
+    parent.props.set(keys[keys.length - 1], value);
+  }
+
+  while (i < text.length) {
+    skipSpaces();
+    const lineStart = i;
+
+    if (text[i] === '\n' || text[i] === '\r') {
+      i++;
+    } else if (text[i] === '#') {
+      skipComment();
+    } else if (text[i] === '[') {
+      const isArray = text[i + 1] === '[';
+      i += isArray ? 2 : 1;
+      const keys = parseKey();
+      if (!text.startsWith(isArray ? ']]' : ']', i)) fail('unterminated table header');
+      i += isArray ? 2 : 1;
+
+      const fields = { insertPos: lineEndAfter(i), indent: lineIndent(text, lineStart) || '' };
+      if (isArray) {
+        const parent = descend(root, keys.slice(0, -1));
+        const key = keys[keys.length - 1];
+        let array = parent.props.get(key);
+        if (!array) {
+          array = { type: 'array', items: [], tableArray: true };
+          parent.props.set(key, array);
+        }
+        current = createTable(fields);
+        array.items.push(current);
+      } else {
+        current = descend(root, keys);
+        Object.assign(current, fields);
+      }
+      skipSpaces();
+      skipComment();
+    } else {
+      const keys = parseKey();
+      if (text[i] !== '=') fail('expected "="');
+      i++;
+      const value = parseValue();
+      assign(current, keys, value);
+      current.insertPos = lineEndAfter(value.end);
+      current.indent = lineIndent(text, lineStart) || '';
+      skipSpaces();
+      skipComment();
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Finds a delimiter that isn't escaped with a backslash
+ * @param {string} text - Source text
+ * @param {string} delimiter - Delimiter to look for
+ * @param {number} from - Offset to start at
+ * @returns {number} Offset of the delimiter, or -1
+ */
+function findUnescaped(text, delimiter, from) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text.startsWith(delimiter, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+module.exports = {
+  parseTomlTree
+};
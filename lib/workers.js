@@ -0,0 +1,118 @@
+/**
+ * Branch Workers for service bindings and Durable Object script references
+ * With branch_workers enabled in the cf-branch-wrangler settings, a service
+ * binding or a Durable Object binding with a script_name is pointed at the
+ * branch deployment of that Worker (named like any branch resource, see
+ * naming.js) when it exists, and stays on the base Worker otherwise:
+ *   [branch_wrangler]
+ *   branch_workers = true            # all service and Durable Object bindings
+ *   branch_workers = ["API"]         # only these bindings
+ */
+
+/**
+ * Picks the service and Durable Object bindings branch_workers applies to
+ * @param {Object} settings - cf-branch-wrangler settings (see branch-config.js)
+ * @param {Object} bindings - Bindings extracted from the wrangler config
+ * @returns {{ services: Array<Object>, durableObjects: Array<Object> }} Selected bindings
+ * @throws {Error} If branch_workers is neither a boolean nor a list of binding names
+ */
+function selectWorkerBindings(settings, bindings) {
+  const option = settings.branch_workers;
+  if (option === undefined || option === false) {
+    return { services: [], durableObjects: [] };
+  }
+
+  const isNameList = Array.isArray(option) && option.every(name => typeof name === 'string');
+  if (option !== true && !isNameList) {
+    throw new Error('Invalid branch_workers setting. Expected true or a list of binding names');
+  }
+
+  const selected = (b) => option === true || option.includes(b.binding);
+  if (isNameList) {
+    const known = [...bindings.services, ...bindings.durableObjects].map(b => b.binding);
+    for (const name of option.filter(name => !known.includes(name))) {
+      console.warn(`Warning: branch_workers lists unknown service or Durable Object binding ${name}, ignoring`);
+    }
+  }
+
+  return {
+    services: bindings.services.filter(selected),
+    // Durable Objects without a script_name are defined by the project itself
+    durableObjects: bindings.durableObjects.filter(b => b.name && selected(b))
+  };
+}
+
+/**
+ * Finds the branch deployment of a Worker, checking the legacy name too
+ * @param {string} worker - Base Worker name
+ * @param {Object} naming - Branch namer (see naming.js)
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @returns {Promise<{name: string, exists: boolean}>} Branch Worker name, and whether it exists
+ */
+async function findBranchWorker(worker, naming, provider) {
+  const name = naming.nameFor(worker);
+  if (await provider.findWorker(name)) return { name, exists: true };
+
+  const legacyName = naming.legacyNameFor(worker);
+  if (legacyName !== name && await provider.findWorker(legacyName)) {
+    return { name: legacyName, exists: true };
+  }
+
+  return { name, exists: false };
+}
+
+/**
+ * Resolves the Worker each selected service and Durable Object binding should use
+ * Durable Object bindings also get the namespace ID of the class in that Worker,
+ * which the preview config needs; if the namespace isn't found their preview
+ * binding is left alone.
+ * @param {Object} bindings - Selected bindings from selectWorkerBindings
+ * @param {Object} naming - Branch namer (see naming.js)
+ * @param {Object} provider - Resource provider (see provider.js)
+ * @returns {Promise<Object>} { services: [{ worker, environment, branch }], durableObjects: [{ worker, className,
+ *   namespaceId, branch }] }, in the same order as the bindings
+ */
+async function resolveWorkerBindings(bindings, naming, provider) {
+  const resolved = { services: [], durableObjects: [] };
+  if (bindings.services.length === 0 && bindings.durableObjects.length === 0) {
+    return resolved;
+  }
+
+  const resolveWorker = async (b, label) => {
+    const branchWorker = await findBranchWorker(b.name, naming, provider);
+    if (branchWorker.exists) {
+      console.log(`  ${label} ${b.binding}: using branch Worker ${branchWorker.name}`);
+      return { worker: branchWorker.name, branch: true };
+    }
+    console.log(`  ${label} ${b.binding}: branch Worker ${branchWorker.name} not found, falling back to ${b.name}`);
+    return { worker: b.name, branch: false };
+  };
+
+  console.log('Resolving branch Workers');
+  for (const b of bindings.services) {
+    const { worker, branch } = await resolveWorker(b, 'Service binding');
+    resolved.services.push({ worker, environment: b.environment, branch });
+  }
+
+  const namespaces = bindings.durableObjects.length > 0 ? await provider.listDurableObjectNamespaces() : [];
+  for (const b of bindings.durableObjects) {
+    const { worker, branch } = await resolveWorker(b, 'Durable Object binding');
+    const namespace = namespaces.find(ns => ns.script === worker && ns.class === b.className);
+    if (!namespace) {
+      console.log(`    No ${b.className} namespace found for ${worker}, leaving the preview binding unchanged`);
+    }
+    resolved.durableObjects.push({
+      worker,
+      className: b.className,
+      namespaceId: namespace ? namespace.id : null,
+      branch
+    });
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  selectWorkerBindings,
+  resolveWorkerBindings
+};
@@ -0,0 +1,607 @@
+/**
+ * Fallback resource backend that shells out to the Wrangler CLI
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Builds a wrangler command, appending --accountId when CLOUDFLARE_ACCOUNT_ID is set
+ * @param {string} command - Wrangler subcommand and arguments
+ * @returns {string} Full command line
+ */
+function wranglerCmd(command) {
+  const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
+  return accountId
+    ? `npx wrangler ${command} --accountId=${accountId}`
+    : `npx wrangler ${command}`;
+}
+
+/**
+ * Runs a wrangler command and returns its stdout
+ * @param {string} command - Wrangler subcommand and arguments
+ * @returns {string} Command output
+ */
+function runQuiet(command) {
+  return execSync(wranglerCmd(command), { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] });
+}
+
+/**
+ * Quotes an argument for the shell
+ * @param {string} value - Argument
+ * @returns {string} Single-quoted argument
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Parses a database ID from wrangler d1 create output
+ * Matches: database_id = "uuid-here"
+ * @param {string} output - Command output text
+ * @returns {string|null} Database ID if found
+ */
+function parseD1CreateOutput(output) {
+  const match = output.match(/database_id\s*=\s*"([a-f0-9-]+)"/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Lists all D1 databases in the account
+ * @returns {Array} Array of { name, uuid } objects
+ */
+function listD1Databases() {
+  try {
+    return JSON.parse(runQuiet('d1 list --json'));
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Finds a D1 database by name
+ * @param {string} name - Database name to find
+ * @returns {string|null} Database ID if found, null otherwise
+ */
+function findD1Database(name) {
+  try {
+    // Try JSON output first (wrangler 3.x+)
+    try {
+      const databases = JSON.parse(runQuiet('d1 list --json'));
+      const found = databases.find(db => db.name === name);
+      if (found) return found.uuid;
+    } catch (_) {
+      // --json flag might not be supported, fall through to text parsing
+    }
+
+    // Fallback: parse text output
+    const output = runQuiet('d1 list');
+
+    // Try various wrangler output formats
+    for (const line of output.split('\n')) {
+      // Table format: │ uuid │ name │ ...
+      if (line.includes(name)) {
+        const uuidMatch = line.match(/([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})/);
+        if (uuidMatch) return uuidMatch[1];
+      }
+    }
+
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Creates a D1 database
+ * @param {string} name - Database name
+ * @returns {string|null} Database ID, or null if it could not be determined
+ */
+function createD1Database(name) {
+  // Capture create output so we can parse the database_id from it
+  const output = execSync(wranglerCmd(`d1 create ${name}`), { encoding: 'utf-8' });
+  console.log(output);
+
+  // If we couldn't parse it from the create output, try listing
+  return parseD1CreateOutput(output) || findD1Database(name);
+}
+
+/**
+ * Deletes a D1 database
+ * @param {Object} db - Database record
+ * @param {string} db.name - Database name
+ */
+function deleteD1Database({ name }) {
+  execSync(wranglerCmd(`d1 delete ${name} -y`), { stdio: 'inherit' });
+}
+
+/**
+ * Runs a read query against a D1 database
+ * @param {Object} db - Database record
+ * @param {string} db.name - Database name
+ * @param {string} sql - SQL query
+ * @returns {Array<Object>} Result rows
+ */
+function queryD1({ name }, sql) {
+  const output = runQuiet(`d1 execute ${name} --remote --json --command=${shellQuote(sql)}`);
+  const results = JSON.parse(output);
+  return (results[0] && results[0].results) || [];
+}
+
+/**
+ * Restores a D1 database in place to a time-travel bookmark
+ * @param {Object} db - Database record
+ * @param {string} db.name - Database name
+ * @param {string} bookmark - Bookmark to restore
+ */
+function restoreD1Bookmark({ name }, bookmark) {
+  execSync(wranglerCmd(`d1 time-travel restore ${name} --bookmark=${shellQuote(bookmark)}`), { stdio: 'inherit' });
+}
+
+/**
+ * Lists all R2 buckets in the account
+ * @returns {Array} Array of bucket objects with name property
+ */
+function listR2Buckets() {
+  try {
+    return JSON.parse(runQuiet('r2 bucket list --json'));
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Finds an R2 bucket by name in the wrangler list output
+ * @param {string} name - Bucket name to find
+ * @returns {boolean} True if bucket exists
+ */
+function findR2Bucket(name) {
+  try {
+    return runQuiet('r2 bucket list').includes(name);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Creates an R2 bucket
+ * @param {string} name - Bucket name
+ * @param {Object} [options] - Bucket options
+ * @param {string} [options.locationHint] - Location hint, e.g. "enam"
+ */
+function createR2Bucket(name, { locationHint } = {}) {
+  const location = locationHint ? ` --location=${locationHint}` : '';
+  execSync(wranglerCmd(`r2 bucket create ${name}${location}`), { stdio: 'inherit' });
+}
+
+/**
+ * Looks up an R2 bucket's details
+ * @param {string} name - Bucket name
+ * @returns {Object|null} { name, location }, or null if the bucket doesn't exist
+ */
+function getR2Bucket(name) {
+  try {
+    const output = runQuiet(`r2 bucket info ${name}`);
+    const match = output.match(/location:\s*(\S+)/i);
+    return { name, location: match ? match[1] : undefined };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Reads an R2 bucket's CORS rules
+ * Wrangler only prints them as a table, so they can't be read with this backend.
+ * @returns {null} Always null
+ */
+function getR2BucketCors() {
+  return null;
+}
+
+/**
+ * Reads an R2 bucket's lifecycle rules
+ * Wrangler only prints them as a table, so they can't be read with this backend.
+ * @returns {null} Always null
+ */
+function getR2BucketLifecycle() {
+  return null;
+}
+
+/**
+ * Uploads a file as an R2 object
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @param {string} file - Path of the file to upload
+ * @param {string} contentType - Content type
+ */
+function putR2Object(bucket, key, file, contentType) {
+  runQuiet(
+    `r2 object put ${shellQuote(`${bucket}/${key}`)} --file=${shellQuote(file)} ` +
+    `--content-type=${shellQuote(contentType)} --remote`
+  );
+}
+
+/**
+ * Lists a page of objects in an R2 bucket
+ * Wrangler has no command for this, so buckets can't be emptied with this backend.
+ * @param {string} bucket - Bucket name
+ * @throws {Error} Always
+ */
+function listR2Objects(bucket) {
+  throw new Error(`Listing the objects in ${bucket} needs the REST API backend (set CLOUDFLARE_API_TOKEN)`);
+}
+
+/**
+ * Deletes objects from an R2 bucket, one wrangler call each
+ * @param {string} bucket - Bucket name
+ * @param {string[]} keys - Object keys
+ */
+function deleteR2Objects(bucket, keys) {
+  for (const key of keys) {
+    runQuiet(`r2 object delete ${shellQuote(`${bucket}/${key}`)} --remote`);
+  }
+}
+
+/**
+ * Deletes an R2 bucket
+ * @param {string} name - Bucket name
+ */
+function deleteR2Bucket(name) {
+  execSync(wranglerCmd(`r2 bucket delete ${name}`), { stdio: 'inherit' });
+}
+
+/**
+ * Lists all KV namespaces in the account
+ * @returns {Array} Array of namespace objects with id/title properties
+ */
+function listKVNamespaces() {
+  try {
+    return JSON.parse(runQuiet('kv namespace list --json'));
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Finds a KV namespace by title (name) in the wrangler list output
+ * @param {string} title - Namespace name to find
+ * @returns {string|null} Namespace ID if found, null otherwise
+ */
+function findKVNamespace(title) {
+  try {
+    // Try JSON output first
+    try {
+      const namespaces = JSON.parse(runQuiet('kv namespace list --json'));
+      const found = namespaces.find(ns => ns.title === title);
+      if (found) return found.id;
+    } catch (_) {
+      // Fall through to text parsing
+    }
+
+    const output = runQuiet('kv namespace list');
+    for (const line of output.split('\n')) {
+      if (line.includes(title)) {
+        const uuidMatch = line.match(/([a-f0-9]{32})/);
+        if (uuidMatch) return uuidMatch[1];
+      }
+    }
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Creates a KV namespace
+ * @param {string} title - Namespace name
+ * @returns {string|null} Namespace ID, or null if it could not be determined
+ */
+function createKVNamespace(title) {
+  const output = execSync(wranglerCmd(`kv namespace create ${title}`), {
+    stdio: 'pipe',
+    encoding: 'utf-8'
+  });
+  // Extract ID from output: "namespace created with id=\"abc123\""
+  const match = output.match(/id="([a-f0-9]+)"/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Deletes a KV namespace
+ * @param {string} id - Namespace ID
+ */
+function deleteKVNamespace(id) {
+  execSync(wranglerCmd(`kv namespace delete --namespace-id=${id}`), { stdio: 'inherit' });
+}
+
+/**
+ * Lists the keys in a KV namespace
+ * @param {string} namespaceId - Namespace ID
+ * @param {string} [prefix] - Only keys starting with this prefix
+ * @returns {Array} Array of { name, expiration, metadata } objects
+ */
+function listKVKeys(namespaceId, prefix) {
+  const prefixFlag = prefix ? ` --prefix=${shellQuote(prefix)}` : '';
+  return JSON.parse(runQuiet(`kv key list --namespace-id=${namespaceId} --remote${prefixFlag}`));
+}
+
+/**
+ * Reads a value from a KV namespace
+ * @param {string} namespaceId - Namespace ID
+ * @param {string} key - Key
+ * @returns {string} Value as text
+ */
+function getKVValue(namespaceId, key) {
+  return runQuiet(`kv key get ${shellQuote(key)} --namespace-id=${namespaceId} --remote --text`);
+}
+
+/**
+ * Writes key-value pairs to a KV namespace with wrangler kv bulk put
+ * @param {string} namespaceId - Namespace ID
+ * @param {Array<Object>} entries - Entries { key, value, expiration, expiration_ttl, metadata, base64 }
+ */
+function putKVEntries(namespaceId, entries) {
+  const file = path.join(os.tmpdir(), `branch-wrangler-kv-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify(entries));
+  try {
+    execSync(wranglerCmd(`kv bulk put ${shellQuote(file)} --namespace-id=${namespaceId} --remote`), { stdio: 'inherit' });
+  } finally {
+    fs.unlinkSync(file);
+  }
+}
+
+/**
+ * Parses the table printed by wrangler queues list
+ * Rows look like: │ <32-hex id> │ <name> │ <created_on> │ ...
+ * @param {string} output - Command output text
+ * @returns {Array} Array of { queue_id, queue_name, created_on } objects
+ */
+function parseQueueList(output) {
+  const queues = [];
+  for (const line of output.split('\n')) {
+    const cells = line.split(/[│|]/).map(cell => cell.trim()).filter(Boolean);
+    if (cells.length >= 2 && /^[a-f0-9]{32}$/.test(cells[0])) {
+      queues.push({ queue_id: cells[0], queue_name: cells[1], created_on: cells[2] });
+    }
+  }
+  return queues;
+}
+
+/**
+ * Lists all queues in the account
+ * @returns {Array} Array of { queue_id, queue_name, created_on } objects
+ */
+function listQueues() {
+  try {
+    return parseQueueList(runQuiet('queues list'));
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Finds a queue by name
+ * @param {string} name - Queue name to find
+ * @returns {string|null} Queue ID if found, null otherwise
+ */
+function findQueue(name) {
+  const found = listQueues().find(queue => queue.queue_name === name);
+  return found ? found.queue_id : null;
+}
+
+/**
+ * Creates a queue
+ * @param {string} name - Queue name
+ * @returns {string|null} Queue ID, or null if it could not be determined
+ */
+function createQueue(name) {
+  execSync(wranglerCmd(`queues create ${name}`), { stdio: 'inherit' });
+  return findQueue(name);
+}
+
+/**
+ * Deletes a queue
+ * @param {Object} queue - Queue record
+ * @param {string} queue.name - Queue name
+ */
+function deleteQueue({ name }) {
+  execSync(wranglerCmd(`queues delete ${name}`), { stdio: 'inherit' });
+}
+
+/**
+ * Lists all Vectorize indexes in the account
+ * @returns {Array} Array of { name, config: { dimensions, metric }, created_on } objects
+ */
+function listVectorizeIndexes() {
+  try {
+    return JSON.parse(runQuiet('vectorize list --json'));
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Finds a Vectorize index by name
+ * @param {string} name - Index name to find
+ * @returns {Object|null} Index with its config, or null if it doesn't exist
+ */
+function findVectorizeIndex(name) {
+  return listVectorizeIndexes().find(index => index.name === name) || null;
+}
+
+/**
+ * Creates a Vectorize index
+ * @param {string} name - Index name
+ * @param {Object} config - Index config
+ * @param {number} config.dimensions - Vector dimensions
+ * @param {string} config.metric - Distance metric
+ */
+function createVectorizeIndex(name, { dimensions, metric }) {
+  execSync(wranglerCmd(`vectorize create ${name} --dimensions=${dimensions} --metric=${metric}`), { stdio: 'inherit' });
+}
+
+/**
+ * Deletes a Vectorize index
+ * @param {string} name - Index name
+ */
+function deleteVectorizeIndex(name) {
+  execSync(wranglerCmd(`vectorize delete ${name} --force`), { stdio: 'inherit' });
+}
+
+/**
+ * Parses the table printed by wrangler hyperdrive list
+ * Rows look like: │ <32-hex id> │ <name> │ <user> │ <host> │ ...
+ * @param {string} output - Command output text
+ * @returns {Array} Array of { id, name } objects
+ */
+function parseHyperdriveList(output) {
+  const configs = [];
+  for (const line of output.split('\n')) {
+    const cells = line.split(/[│|]/).map(cell => cell.trim()).filter(Boolean);
+    if (cells.length >= 2 && /^[a-f0-9]{32}$/.test(cells[0])) {
+      configs.push({ id: cells[0], name: cells[1] });
+    }
+  }
+  return configs;
+}
+
+/**
+ * Lists all Hyperdrive configs in the account
+ * @returns {Array} Array of { id, name } objects
+ */
+function listHyperdriveConfigs() {
+  try {
+    return parseHyperdriveList(runQuiet('hyperdrive list'));
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Reads a Hyperdrive config
+ * @param {string} id - Config ID
+ * @returns {Object|null} Config with name, origin (without password) and caching, or null if not found
+ */
+function getHyperdriveConfig(id) {
+  try {
+    const output = runQuiet(`hyperdrive get ${id}`);
+    return JSON.parse(output.slice(output.indexOf('{')));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Finds a Hyperdrive config by name
+ * @param {string} name - Config name to find
+ * @returns {string|null} Config ID if found, null otherwise
+ */
+function findHyperdriveConfig(name) {
+  const found = listHyperdriveConfigs().find(config => config.name === name);
+  return found ? found.id : null;
+}
+
+/**
+ * Creates a Hyperdrive config
+ * Wrangler only takes the origin password on its command line, where the
+ * process list and CI logs can show it, so this backend doesn't create them.
+ * @param {string} name - Config name
+ * @throws {Error} Always
+ */
+function createHyperdriveConfig(name) {
+  throw new Error(
+    `Creating Hyperdrive config ${name} needs the REST API backend (set CLOUDFLARE_API_TOKEN), ` +
+    'as wrangler would put the password on its command line'
+  );
+}
+
+/**
+ * Deletes a Hyperdrive config
+ * @param {string} id - Config ID
+ */
+function deleteHyperdriveConfig(id) {
+  execSync(wranglerCmd(`hyperdrive delete ${id}`), { stdio: 'inherit' });
+}
+
+/**
+ * Checks whether a Worker exists
+ * @param {string} name - Worker name
+ * @returns {boolean} True if the Worker has deployments
+ */
+function findWorker(name) {
+  try {
+    runQuiet(`deployments list --name=${name}`);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Lists Durable Object namespaces
+ * Wrangler has no command for this, so none are found and Durable Object
+ * preview bindings are left unchanged with this backend.
+ * @returns {Array} Empty array
+ */
+function listDurableObjectNamespaces() {
+  return [];
+}
+
+/**
+ * Creates a provider that manages D1, R2, KV, Queues, Vectorize and Hyperdrive resources via the Wrangler CLI
+ * Methods are synchronous; callers await them so both backends are interchangeable
+ * @returns {Object} Provider implementing the list/find/create/delete interface
+ */
+function createWranglerProvider() {
+  return {
+    name: 'wrangler',
+    listD1Databases,
+    findD1Database,
+    createD1Database,
+    deleteD1Database,
+    queryD1,
+    restoreD1Bookmark,
+    listR2Buckets,
+    findR2Bucket,
+    createR2Bucket,
+    getR2Bucket,
+    getR2BucketCors,
+    getR2BucketLifecycle,
+    putR2Object,
+    listR2Objects,
+    deleteR2Objects,
+    deleteR2Bucket,
+    listKVNamespaces,
+    findKVNamespace,
+    createKVNamespace,
+    deleteKVNamespace,
+    listKVKeys,
+    getKVValue,
+    putKVEntries,
+    listQueues,
+    findQueue,
+    createQueue,
+    deleteQueue,
+    listVectorizeIndexes,
+    findVectorizeIndex,
+    createVectorizeIndex,
+    deleteVectorizeIndex,
+    listHyperdriveConfigs,
+    getHyperdriveConfig,
+    findHyperdriveConfig,
+    createHyperdriveConfig,
+    deleteHyperdriveConfig,
+    findWorker,
+    listDurableObjectNamespaces
+  };
+}
+
+module.exports = {
+  wranglerCmd,
+  parseD1CreateOutput,
+  parseQueueList,
+  parseHyperdriveList,
+  createWranglerProvider
+};